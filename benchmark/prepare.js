@@ -0,0 +1,117 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+const objectTemplate = require('..')
+
+const ITERATIONS = 5000
+
+const template = {
+  name: '{{name}}',
+  hostname: '{{hostname | lower}}.local',
+  network: {
+    address: '{{network.ip}}:{{integer:network.port || 8080}}',
+    gateway: '{{network.gateway}}'
+  },
+  environment: {
+    DEBUG: '{{boolean:debug}}',
+    API_URL: 'https://{{api.host}}/v{{integer:api.version}}/'
+  },
+  '{{label}}': 'enabled',
+  interfaces: {
+    $each: 'interfaces',
+    $as: 'interface',
+    $item: 'iface={{interface.name}},mtu={{integer:interface.mtu}}'
+  }
+}
+
+const data = _.times(ITERATIONS, (index) => {
+  return {
+    name: `device-${index}`,
+    hostname: `device${index}`,
+    network: {
+      ip: `10.0.${index % 256}.1`,
+      port: 8000 + (index % 1000),
+      gateway: '10.0.0.254'
+    },
+    debug: index % 2 === 0,
+    api: {
+      host: 'api.example.com',
+      version: 3
+    },
+    label: `io.example.device-${index}`,
+    interfaces: [
+      {
+        name: 'eth0',
+        mtu: 1500
+      },
+      {
+        name: 'wlan0',
+        mtu: 1400
+      }
+    ]
+  }
+})
+
+/**
+ * @summary Measure the time it takes to run a function for every data object
+ * @function
+ * @private
+ *
+ * @param {String} title - benchmark title
+ * @param {Function} fn - function
+ * @returns {Number} elapsed milliseconds
+ *
+ * @example
+ * measure('noop', _.noop)
+ */
+const measure = (title, fn) => {
+  const start = process.hrtime()
+  _.each(data, fn)
+  const [ seconds, nanoseconds ] = process.hrtime(start)
+  const milliseconds = (seconds * 1e3) + (nanoseconds / 1e6)
+  console.log(`${_.padEnd(title, 40)} ${milliseconds.toFixed(1)}ms`)
+  return milliseconds
+}
+
+const results = _.map(data, (object) => {
+  return objectTemplate.compile(template, object)
+})
+
+const prepared = objectTemplate.prepare(template)
+
+console.log(`Running ${ITERATIONS} iterations\n`)
+
+const compile = measure('.compile()', (object) => {
+  objectTemplate.compile(template, object)
+})
+
+const preparedCompile = measure('.prepare().compile()', (object) => {
+  prepared.compile(object)
+})
+
+const decompile = measure('.decompile()', (object, index) => {
+  objectTemplate.decompile(template, results[index])
+})
+
+const preparedDecompile = measure('.prepare().decompile()', (object, index) => {
+  prepared.decompile(results[index])
+})
+
+console.log(`\nCompilation speedup: ${(compile / preparedCompile).toFixed(2)}x`)
+console.log(`Decompilation speedup: ${(decompile / preparedDecompile).toFixed(2)}x`)
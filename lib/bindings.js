@@ -0,0 +1,361 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+/**
+ * @module bindings
+ *
+ * @description
+ * A binding associates a value with a data property, expressed as an
+ * array of path segments, along with the path of the result where the
+ * value was found, and whether the value is `secret`. Decompiling a
+ * template produces a list of bindings, which are then folded into a
+ * single data object.
+ */
+
+const _ = require('lodash')
+const errors = require('./errors')
+
+/**
+ * @summary Flatten a value into bindings
+ * @function
+ * @private
+ *
+ * @description
+ * Non-empty plain objects are flattened into their properties,
+ * while any other value is considered a leaf.
+ *
+ * @param {*} value - value
+ * @param {Array} segments - property segments
+ * @param {Array} path - result path
+ * @returns {Object[]} bindings
+ *
+ * @example
+ * console.log(flatten({
+ *   name: 'John'
+ * }, [ 'person' ], [ 'foo' ]))
+ * > [ { segments: [ 'person', 'name' ], value: 'John', path: [ 'foo' ] } ]
+ */
+const flatten = (value, segments, path) => {
+  if (_.isPlainObject(value) && !_.isEmpty(value)) {
+    return _.flatMap(value, (child, key) => {
+      return flatten(child, _.concat(segments, key), path)
+    })
+  }
+
+  return [
+    {
+      segments,
+      value,
+      path
+    }
+  ]
+}
+
+/**
+ * @summary Create bindings out of a data object
+ * @function
+ * @public
+ *
+ * @param {Object} data - data
+ * @param {Array} path - result path where the data was found
+ * @returns {Object[]} bindings
+ *
+ * @example
+ * console.log(bindings.fromData({
+ *   name: 'John'
+ * }, [ 'greeting' ]))
+ * > [ { segments: [ 'name' ], value: 'John', path: [ 'greeting' ] } ]
+ */
+exports.fromData = (data, path) => {
+  return _.flatMap(data, (value, key) => {
+    return flatten(value, [ key ], path)
+  })
+}
+
+/**
+ * @summary Check if some segments start with other segments
+ * @function
+ * @private
+ *
+ * @param {Array} segments - segments
+ * @param {Array} prefix - prefix segments
+ * @returns {Boolean} whether the segments start with the prefix
+ *
+ * @example
+ * if (startsWith([ 'foo', 'bar' ], [ 'foo' ])) {
+ *   console.log('Match!')
+ * }
+ */
+const startsWith = (segments, prefix) => {
+  return _.isEqual(_.take(segments, prefix.length), prefix)
+}
+
+/**
+ * @summary Get the formatted string form of a value
+ * @function
+ * @private
+ *
+ * @param {*} value - value
+ * @returns {String} formatted value
+ *
+ * @example
+ * console.log(formatValue(8080))
+ * > '8080'
+ */
+const formatValue = (value) => {
+  return _.isString(value) ? value : JSON.stringify(value)
+}
+
+/**
+ * @summary Check if two values are compiled into the same text
+ * @function
+ * @public
+ *
+ * @description
+ * The same variable can be interpolated with different types in
+ * different places, in which case the values are casted differently
+ * when decompiling, even if the result was not modified. Such values
+ * are compared in their formatted string form.
+ *
+ * @param {*} first - first value
+ * @param {*} second - second value
+ * @returns {Boolean} whether the values are equivalent
+ *
+ * @example
+ * if (bindings.isEquivalent(8080, '8080')) {
+ *   console.log('These values are equivalent')
+ * }
+ */
+exports.isEquivalent = (first, second) => {
+  return _.isEqual(first, second) || formatValue(first) === formatValue(second)
+}
+
+/**
+ * @summary Pick the value to keep out of two equivalent values
+ * @function
+ * @public
+ *
+ * @description
+ * Values casted to other types than strings carry more information,
+ * so they are preferred over their string forms.
+ *
+ * @param {*} previous - previous value
+ * @param {*} value - new value
+ * @returns {*} value to keep
+ *
+ * @example
+ * console.log(bindings.pickEquivalent(8080, '8080'))
+ * > 8080
+ */
+exports.pickEquivalent = (previous, value) => {
+  return _.isString(value) && !_.isString(previous) ? previous : value
+}
+
+/**
+ * @summary Get the index key of some property segments
+ * @function
+ * @private
+ *
+ * @param {Array} segments - property segments
+ * @returns {String} index key
+ *
+ * @example
+ * console.log(getIndexKey([ 'person', 'name' ]))
+ * > '["person","name"]'
+ */
+const getIndexKey = (segments) => {
+  return JSON.stringify(segments)
+}
+
+/**
+ * @summary Add a folded binding to an index of bindings
+ * @function
+ * @private
+ *
+ * @description
+ * The index keeps the bindings of every property, without repeating
+ * equivalent values, along with the last binding nested inside each
+ * of its ancestors, so that conflicts can be found without going
+ * through all the previous bindings.
+ *
+ * @param {Object} index - bindings index
+ * @param {Map} index.leaves - bindings by property
+ * @param {Map} index.nested - last nested binding by ancestor property
+ * @param {Object} binding - binding
+ * @param {Number} position - position of the binding in the list
+ *
+ * @example
+ * const index = {
+ *   leaves: new Map(),
+ *   nested: new Map()
+ * }
+ *
+ * addToIndex(index, { segments: [ 'name' ], value: 'John', path: [ 'foo' ] }, 0)
+ */
+const addToIndex = (index, binding, position) => {
+  // Values missing from the result are not conflicting
+  if (_.isUndefined(binding.value)) {
+    return
+  }
+
+  const entry = {
+    binding,
+    position
+  }
+
+  const key = getIndexKey(binding.segments)
+  index.leaves.set(key, _.concat(_.reject(index.leaves.get(key), (other) => {
+    return exports.isEquivalent(other.binding.value, binding.value)
+  }), entry))
+
+  _.each(_.range(1, binding.segments.length), (length) => {
+    index.nested.set(getIndexKey(_.take(binding.segments, length)), entry)
+  })
+}
+
+/**
+ * @summary Find the binding that conflicts with a new binding
+ * @function
+ * @private
+ *
+ * @param {Object} index - index of the previously folded bindings
+ * @param {Object} binding - new binding
+ * @returns {(Object|null)} last conflicting binding, if any
+ *
+ * @example
+ * const index = {
+ *   leaves: new Map(),
+ *   nested: new Map()
+ * }
+ *
+ * addToIndex(index, { segments: [ 'name' ], value: 'John', path: [ 'foo' ] }, 0)
+ * const conflict = findConflict(index, { segments: [ 'name' ], value: 'Jane', path: [ 'bar' ] })
+ */
+const findConflict = (index, binding) => {
+  if (_.isUndefined(binding.value)) {
+    return null
+  }
+
+  const key = getIndexKey(binding.segments)
+  const candidates = _.reject(index.leaves.get(key), (entry) => {
+    return exports.isEquivalent(entry.binding.value, binding.value)
+  })
+
+  // A leaf value can't coexist with values nested inside it,
+  // unless the leaf is an empty object that just acts as a container
+  _.each(_.range(1, binding.segments.length), (length) => {
+    _.each(index.leaves.get(getIndexKey(_.take(binding.segments, length))), (entry) => {
+      if (!_.isEqual(entry.binding.value, {})) {
+        candidates.push(entry)
+      }
+    })
+  })
+
+  if (index.nested.has(key) && !_.isEqual(binding.value, {})) {
+    candidates.push(index.nested.get(key))
+  }
+
+  return _.get(_.maxBy(candidates, 'position'), [ 'binding' ], null)
+}
+
+/**
+ * @summary Fold bindings into a data object
+ * @function
+ * @public
+ *
+ * @description
+ * A `ConflictError` is thrown if the same property is bound to
+ * different values, unless an `onConflict` function is provided,
+ * in which case it is called with the error and the last value wins.
+ * The values of bindings marked as `secret` are redacted from the error.
+ *
+ * @param {Object[]} list - bindings
+ * @param {Object} [options] - options
+ * @param {Function} [options.onConflict] - conflict handler
+ * @returns {Object} data
+ *
+ * @example
+ * console.log(bindings.toData([
+ *   { segments: [ 'person', 'name' ], value: 'John', path: [ 'foo' ] }
+ * ]))
+ * > { person: { name: 'John' } }
+ */
+exports.toData = (list, options = {}) => {
+  const index = {
+    leaves: new Map(),
+    nested: new Map()
+  }
+
+  return _.reduce(list, (data, binding, position) => {
+    const conflict = findConflict(index, binding)
+    addToIndex(index, binding, position)
+
+    if (conflict) {
+      const secret = conflict.secret || binding.secret
+      const error = new errors.ConflictError(
+        errors.formatPath(binding.segments),
+        [ conflict.path, binding.path ],
+        secret ? [ errors.REDACTED, errors.REDACTED ] : [ conflict.value, binding.value ]
+      )
+
+      if (!options.onConflict) {
+        throw error
+      }
+
+      options.onConflict(error)
+    }
+
+    if (!_.has(data, binding.segments)) {
+      return _.set(data, binding.segments, binding.value)
+    }
+
+    if (_.isUndefined(binding.value)) {
+      return data
+    }
+
+    const previous = _.get(data, binding.segments)
+    const value = exports.isEquivalent(previous, binding.value) ? exports.pickEquivalent(previous, binding.value) : binding.value
+    return _.set(data, binding.segments, value)
+  }, {})
+}
+
+/**
+ * @summary Check if a property is bound by a list of bindings
+ * @function
+ * @public
+ *
+ * @description
+ * A property is considered to be bound if any of the bindings
+ * refers to the property itself or to a property nested inside it.
+ *
+ * @param {Object[]} list - bindings
+ * @param {Array} segments - property segments
+ * @returns {Boolean} whether the property is bound
+ *
+ * @example
+ * if (bindings.has([
+ *   { segments: [ 'proxy', 'host' ], value: 'foo', path: [ 'proxy' ] }
+ * ], [ 'proxy' ])) {
+ *   console.log('The proxy property is bound')
+ * }
+ */
+exports.has = (list, segments) => {
+  return _.some(list, (binding) => {
+    return startsWith(binding.segments, segments)
+  })
+}
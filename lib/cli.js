@@ -0,0 +1,378 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+/**
+ * @module cli
+ *
+ * @description
+ * The command line interface reads the template, along with the data,
+ * result or object that a command takes, from JSON, YAML or JSON5 files
+ * or from the standard input, and writes the outcome of the command to
+ * the standard output, in the format of the template.
+ */
+
+const _ = require('lodash')
+const errors = require('./errors')
+const formats = require('./formats')
+const objectTemplate = require('./index')
+
+/**
+ * @summary Standard input file name
+ * @type {String}
+ * @constant
+ * @private
+ */
+const STDIN = '-'
+
+/**
+ * @summary Exit codes
+ * @type {Object}
+ * @constant
+ * @public
+ */
+exports.EXIT_CODES = {
+  SUCCESS: 0,
+  MISMATCH: 1,
+  ERROR: 2
+}
+
+/**
+ * @summary Usage instructions
+ * @type {String}
+ * @constant
+ * @public
+ */
+exports.USAGE = _.join([
+  'Usage: object-template <command> <template> [input] [options]',
+  '',
+  'Commands:',
+  '  compile <template> [data]       compile the template with the data',
+  '  decompile <template> [result]   extract the data of a compilation result',
+  '  matches <template> [object]     check if an object matches the template',
+  '  variables <template>            list the variables of the template',
+  '',
+  'Files are read as JSON, YAML or JSON5 depending on their extensions,',
+  'and a missing file, or -, is read from stdin.',
+  '',
+  'Options:',
+  '  --delimiters <open>,<close>     interpolation delimiters, like <%,%>',
+  '  --allow-missing                 keep the interpolations of missing variables',
+  '  --format <json|yaml|json5>      format of stdin and of the output, which',
+  '                                  otherwise follows the template file',
+  '  -h, --help                      show these instructions',
+  '',
+  'The matches command exits with 1 if the object doesn\'t match the template,',
+  'and every command exits with 2 on errors.'
+], '\n')
+
+/**
+ * @summary Commands, by name
+ * @type {Object}
+ * @constant
+ * @private
+ *
+ * @description
+ * Every command takes the template, along with an input unless it is
+ * `templateOnly`, and returns its output, which is also the success
+ * status of the commands that declare a `status`.
+ */
+const COMMANDS = {
+  compile: {
+    run: (template, data, options) => {
+      return objectTemplate.compile(template, data, options)
+    }
+  },
+  decompile: {
+    run: (template, result, options) => {
+      return objectTemplate.decompile(template, result, options)
+    }
+  },
+  matches: {
+    status: true,
+    run: (template, object, options) => {
+      return objectTemplate.matches(template, object, options)
+    }
+  },
+  variables: {
+    templateOnly: true,
+    run: (template, input, options) => {
+      return objectTemplate.variables(template, options)
+    }
+  }
+}
+
+/**
+ * @summary Parse the value of the delimiters option
+ * @function
+ * @private
+ *
+ * @param {String} value - option value
+ * @returns {String[]} delimiters
+ *
+ * @example
+ * console.log(parseDelimiters('<%,%>'))
+ * > [ '<%', '%>' ]
+ */
+const parseDelimiters = (value) => {
+  const delimiters = _.split(value, ',')
+
+  if (delimiters.length !== 2 || !_.every(delimiters)) {
+    throw new Error(`Invalid delimiters: ${value}`)
+  }
+
+  return delimiters
+}
+
+/**
+ * @summary Parse command line arguments
+ * @function
+ * @public
+ *
+ * @description
+ * Options can be given before, after or between the positional
+ * arguments, and option values can be separated from their names
+ * either by a space or by an equals sign.
+ *
+ * @param {String[]} argv - command line arguments, without the node and script paths
+ * @returns {Object} parsed arguments, containing the `command`, the `files`, the
+ * `options` of the command, and the `format` of the standard input and output, if any
+ *
+ * @example
+ * console.log(cli.parseArguments([ 'compile', 'template.json', 'data.json', '--allow-missing' ]))
+ * > {
+ * >   command: 'compile',
+ * >   files: [ 'template.json', 'data.json' ],
+ * >   options: { allowMissing: true },
+ * >   format: null,
+ * >   help: false
+ * > }
+ */
+exports.parseArguments = (argv) => {
+  const args = _.clone(argv)
+  const positionals = []
+  const options = {}
+  let format = null
+  let help = false
+
+  while (!_.isEmpty(args)) {
+    const arg = args.shift()
+    const [ name, inlineValue ] = _.startsWith(arg, '--') && _.includes(arg, '=')
+      ? [ arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1) ]
+      : [ arg, null ]
+
+    if (name === '-h' || name === '--help') {
+      help = true
+    } else if (name === '--allow-missing') {
+      options.allowMissing = true
+    } else if (name === '--delimiters' || name === '--format') {
+      const value = _.isNull(inlineValue) ? args.shift() : inlineValue
+
+      if (_.isUndefined(value)) {
+        throw new Error(`Missing value for ${name}`)
+      }
+
+      if (name === '--delimiters') {
+        options.delimiters = parseDelimiters(value)
+      } else if (formats.isSupported(value)) {
+        format = value
+      } else {
+        throw new Error(`Unknown format: ${value}`)
+      }
+    } else if (_.startsWith(name, '-') && name !== STDIN) {
+      throw new Error(`Unknown option: ${name}`)
+    } else {
+      positionals.push(arg)
+    }
+  }
+
+  return {
+    command: _.first(positionals),
+    files: _.tail(positionals),
+    options,
+    format,
+    help
+  }
+}
+
+/**
+ * @summary Read a stream until it ends
+ * @function
+ * @private
+ *
+ * @param {Stream} stream - readable stream
+ * @returns {Promise}
+ * @fulfil {String} - contents
+ *
+ * @example
+ * readStream(process.stdin).then((contents) => {
+ *   console.log(contents)
+ * })
+ */
+const readStream = (stream) => {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    stream.on('data', (chunk) => {
+      chunks.push(Buffer.from(chunk))
+    })
+    stream.on('error', reject)
+    stream.on('end', () => {
+      resolve(Buffer.concat(chunks).toString('utf8'))
+    })
+  })
+}
+
+/**
+ * @summary Get the format of a file, or of the standard input
+ * @function
+ * @private
+ *
+ * @param {String} file - file path, or `-` for the standard input
+ * @param {(String|null)} format - format of the standard input, if any
+ * @returns {String} format name
+ *
+ * @example
+ * console.log(getFormat('-', 'yaml'))
+ * > 'yaml'
+ */
+const getFormat = (file, format) => {
+  if (file === STDIN) {
+    return format || 'json'
+  }
+
+  return formats.fromFile(file)
+}
+
+/**
+ * @summary Read a file, or the standard input
+ * @function
+ * @private
+ *
+ * @param {String} file - file path, or `-` for the standard input
+ * @param {Stream} stdin - standard input
+ * @param {(String|null)} format - format of the standard input, if any
+ * @returns {Promise}
+ * @fulfil {*} - parsed contents
+ *
+ * @example
+ * readInput('template.yaml', process.stdin, null).then((template) => {
+ *   console.log(template)
+ * })
+ */
+const readInput = (file, stdin, format) => {
+  if (file !== STDIN) {
+    return formats.readFile(file)
+  }
+
+  return readStream(stdin).then((text) => {
+    return formats.parse(text, getFormat(file, format), 'stdin')
+  })
+}
+
+/**
+ * @summary Format an error to be shown to the user
+ * @function
+ * @private
+ *
+ * @param {Error} error - error
+ * @returns {String} message
+ *
+ * @example
+ * console.log(formatError(new errors.MissingVariableError('name', [ 'greeting' ])))
+ * > 'object-template: Missing variable name (at greeting)'
+ */
+const formatError = (error) => {
+  const location = errors.formatPath(error.path)
+
+  // Syntax errors and conflicts already describe their locations
+  if (_.isEmpty(location) ||
+    !(error instanceof errors.ObjectTemplateError) ||
+    error instanceof errors.TemplateSyntaxError ||
+    error instanceof errors.ConflictError) {
+    return `object-template: ${error.message}`
+  }
+
+  return `object-template: ${error.message} (at ${location})`
+}
+
+/**
+ * @summary Run the command line interface
+ * @function
+ * @public
+ *
+ * @description
+ * The outcome of the command is written to `io.stdout`, and errors are
+ * written to `io.stderr`. The promise is never rejected.
+ *
+ * @param {String[]} argv - command line arguments, without the node and script paths
+ * @param {Object} io - streams
+ * @param {Stream} io.stdin - standard input
+ * @param {Stream} io.stdout - standard output
+ * @param {Stream} io.stderr - standard error
+ * @returns {Promise}
+ * @fulfil {Number} - exit code
+ *
+ * @example
+ * cli.run([ 'variables', 'template.json' ], process).then((code) => {
+ *   process.exitCode = code
+ * })
+ */
+exports.run = (argv, io) => {
+  return Promise.resolve().then(() => {
+    const args = exports.parseArguments(argv)
+
+    if (args.help) {
+      io.stdout.write(`${exports.USAGE}\n`)
+      return exports.EXIT_CODES.SUCCESS
+    }
+
+    const command = _.has(COMMANDS, [ args.command ]) ? COMMANDS[args.command] : null
+
+    if (!command) {
+      throw new Error(_.isUndefined(args.command) ? 'Missing command' : `Unknown command: ${args.command}`)
+    }
+
+    const arity = command.templateOnly ? 1 : 2
+
+    if (args.files.length > arity) {
+      throw new Error(`Too many arguments for ${args.command}`)
+    }
+
+    // Any missing file is read from the standard input
+    const files = _.concat(args.files, _.times(arity - args.files.length, _.constant(STDIN)))
+
+    if (_.countBy(files)[STDIN] > 1) {
+      throw new Error('Only one file can be read from stdin')
+    }
+
+    return Promise.all(_.map(files, (file) => {
+      return readInput(file, io.stdin, args.format)
+    })).then(([ template, input ]) => {
+      const output = command.run(template, input, args.options)
+      io.stdout.write(formats.stringify(output, args.format || getFormat(_.first(files), args.format)))
+
+      if (command.status && !output) {
+        return exports.EXIT_CODES.MISMATCH
+      }
+
+      return exports.EXIT_CODES.SUCCESS
+    })
+  }).catch((error) => {
+    io.stderr.write(`${formatError(error)}\n`)
+    return exports.EXIT_CODES.ERROR
+  })
+}
@@ -0,0 +1,648 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * @summary Format a template path
+ * @function
+ * @public
+ *
+ * @param {Array} path - template path
+ * @returns {String} formatted path
+ *
+ * @example
+ * console.log(errors.formatPath([ 'args', 1, 'io.balena.feature' ]))
+ * > 'args[1]["io.balena.feature"]'
+ */
+exports.formatPath = (path) => {
+  return _.reduce(path, (accumulator, key) => {
+    if (_.isNumber(key)) {
+      return `${accumulator}[${key}]`
+    }
+
+    if (!/^[\w$]+$/.test(key)) {
+      return `${accumulator}[${JSON.stringify(key)}]`
+    }
+
+    if (_.isEmpty(accumulator)) {
+      return key
+    }
+
+    return `${accumulator}.${key}`
+  }, '')
+}
+
+/**
+ * @summary Replacement of sensitive values
+ * @type {String}
+ * @constant
+ * @public
+ *
+ * @description
+ * Errors, mismatches and redacted results show this text
+ * instead of the values of secret variables.
+ */
+exports.REDACTED = '[REDACTED]'
+
+/**
+ * @summary Base object template error
+ * @class
+ * @public
+ *
+ * @description
+ * Every error thrown by this module inherits from this class,
+ * and contains a stable `code`, the name of the `variable` that
+ * caused it (if any), and the `path` to the template field where
+ * it happened, as an array of keys.
+ *
+ * @example
+ * try {
+ *   objectTemplate.compile(template, data)
+ * } catch (error) {
+ *   if (error instanceof errors.ObjectTemplateError) {
+ *     console.error(error.code, error.path)
+ *   }
+ * }
+ */
+class ObjectTemplateError extends Error {
+  /**
+   * @summary Create an object template error
+   * @param {String} message - error message
+   * @param {Object} [properties] - error properties
+   * @param {String} [properties.code] - error code
+   * @param {String} [properties.variable] - variable name
+   * @param {Array} [properties.path] - template path
+   *
+   * @example
+   * const error = new ObjectTemplateError('Oops', {
+   *   code: 'EOOPS'
+   * })
+   */
+  constructor (message, properties = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = properties.code
+    this.variable = properties.variable
+    this.path = properties.path || []
+    _.defaults(this, _.omit(properties, [ 'code', 'variable', 'path' ]))
+  }
+}
+
+exports.ObjectTemplateError = ObjectTemplateError
+
+/**
+ * @summary Missing variable error
+ * @class
+ * @public
+ *
+ * @example
+ * throw new errors.MissingVariableError('name', [ 'greeting' ])
+ */
+class MissingVariableError extends ObjectTemplateError {
+  /**
+   * @summary Create a missing variable error
+   * @param {String} variable - variable name
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new MissingVariableError('name')
+   */
+  constructor (variable, path) {
+    super(`Missing variable ${variable}`, {
+      code: 'EMISSINGVARIABLE',
+      variable,
+      path
+    })
+  }
+}
+
+exports.MissingVariableError = MissingVariableError
+
+/**
+ * @summary No match error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when a value doesn't match the literal portions
+ * of the template it is being decompiled against.
+ *
+ * @example
+ * throw new errors.NoMatchError('name', [ 'greeting' ])
+ */
+class NoMatchError extends ObjectTemplateError {
+  /**
+   * @summary Create a no match error
+   * @param {String} variable - variable name
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new NoMatchError('name')
+   */
+  constructor (variable, path) {
+    super(`No match for '${variable}'`, {
+      code: 'ENOMATCH',
+      variable,
+      path
+    })
+  }
+}
+
+exports.NoMatchError = NoMatchError
+
+/**
+ * @summary Type cast error
+ * @class
+ * @public
+ *
+ * @example
+ * throw new errors.TypeCastError('age', 'number', 'foo', [ 'age' ])
+ */
+class TypeCastError extends ObjectTemplateError {
+  /**
+   * @summary Create a type cast error
+   * @param {String} variable - variable name
+   * @param {String} type - target type
+   * @param {*} value - value that couldn't be casted
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new TypeCastError('age', 'number', 'foo')
+   */
+  constructor (variable, type, value, path) {
+    super(`Can't convert ${value} to ${type}`, {
+      code: 'ETYPECAST',
+      variable,
+      path,
+      type,
+      value
+    })
+  }
+}
+
+exports.TypeCastError = TypeCastError
+
+/**
+ * @summary Template syntax error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when a template string is malformed. The character
+ * offset of the error in the string is available through the
+ * `offset` property.
+ *
+ * @example
+ * throw new errors.TemplateSyntaxError('Unclosed delimiter', 7, [ 'greeting' ])
+ */
+class TemplateSyntaxError extends ObjectTemplateError {
+  /**
+   * @summary Create a template syntax error
+   * @param {String} reason - error reason
+   * @param {Number} offset - character offset
+   * @param {Array} [path] - template path
+   * @param {Object} [properties] - extra error properties
+   *
+   * @example
+   * const error = new TemplateSyntaxError('Unclosed delimiter', 7)
+   */
+  constructor (reason, offset, path, properties = {}) {
+    const location = _.compact([ exports.formatPath(path), `character ${offset}` ])
+
+    super(`${reason} (at ${_.join(location, ', ')})`, _.assign({
+      code: 'ESYNTAX',
+      path,
+      offset
+    }, properties))
+  }
+}
+
+exports.TemplateSyntaxError = TemplateSyntaxError
+
+/**
+ * @summary Invalid default value error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when the default value of an interpolation is not valid JSON.
+ *
+ * @example
+ * throw new errors.InvalidDefaultError('name', 'Jane', [ 'name' ], 0)
+ */
+class InvalidDefaultError extends TemplateSyntaxError {
+  /**
+   * @summary Create an invalid default value error
+   * @param {String} variable - variable name
+   * @param {String} defaultValue - raw default value
+   * @param {Array} [path] - template path
+   * @param {Number} [offset] - character offset
+   *
+   * @example
+   * const error = new InvalidDefaultError('name', 'Jane')
+   */
+  constructor (variable, defaultValue, path, offset = 0) {
+    super(`Invalid default value for ${variable}: ${defaultValue}`, offset, path, {
+      code: 'EINVALIDDEFAULT',
+      variable,
+      defaultValue
+    })
+  }
+}
+
+exports.InvalidDefaultError = InvalidDefaultError
+
+/**
+ * @summary Invalid iteration error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when the source of an iteration section is not an array.
+ *
+ * @example
+ * throw new errors.InvalidIterationError('interfaces', [ 'networks' ])
+ */
+class InvalidIterationError extends ObjectTemplateError {
+  /**
+   * @summary Create an invalid iteration error
+   * @param {String} variable - variable name
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new InvalidIterationError('interfaces')
+   */
+  constructor (variable, path) {
+    super(`Can't iterate over ${variable}`, {
+      code: 'EINVALIDITERATION',
+      variable,
+      path
+    })
+  }
+}
+
+exports.InvalidIterationError = InvalidIterationError
+
+/**
+ * @summary Conflict error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when decompiling a result where the same variable
+ * has different values in different places. The paths of
+ * both places in the result and their values are available
+ * through the `paths` and `values` properties.
+ *
+ * @example
+ * throw new errors.ConflictError('name', [ [ 'foo' ], [ 'bar' ] ], [ 'John', 'Jane' ])
+ */
+class ConflictError extends ObjectTemplateError {
+  /**
+   * @summary Create a conflict error
+   * @param {String} variable - variable name
+   * @param {Array[]} paths - result paths
+   * @param {Array} values - conflicting values
+   *
+   * @example
+   * const error = new ConflictError('name', [ [ 'foo' ], [ 'bar' ] ], [ 'John', 'Jane' ])
+   */
+  constructor (variable, paths, values) {
+    const locations = _.map(_.zip(paths, values), ([ path, value ]) => {
+      return `${JSON.stringify(value)} at ${exports.formatPath(path) || '<root>'}`
+    })
+
+    super(`Conflicting values for ${variable}: ${_.join(locations, ' and ')}`, {
+      code: 'ECONFLICT',
+      variable,
+      path: _.last(paths),
+      paths,
+      values
+    })
+  }
+}
+
+exports.ConflictError = ConflictError
+
+/**
+ * @summary Validation error
+ * @class
+ * @public
+ *
+ * @description
+ * Aggregates every error found while walking a template,
+ * which are available through the `errors` property.
+ *
+ * @example
+ * throw new errors.ValidationError([
+ *   new errors.MissingVariableError('name', [ 'greeting' ]),
+ *   new errors.MissingVariableError('age', [ 'age' ])
+ * ])
+ */
+class ValidationError extends ObjectTemplateError {
+  /**
+   * @summary Create a validation error
+   * @param {ObjectTemplateError[]} errors - aggregated errors
+   *
+   * @example
+   * const error = new ValidationError([
+   *   new MissingVariableError('name', [ 'greeting' ])
+   * ])
+   */
+  constructor (errors) {
+    const lines = _.map(errors, (error) => {
+      if (_.isEmpty(error.path)) {
+        return `- ${error.message}`
+      }
+
+      return `- ${exports.formatPath(error.path)}: ${error.message}`
+    })
+
+    super(_.join(_.concat(`Found ${errors.length} template error(s):`, lines), '\n'), {
+      code: 'EVALIDATION',
+      errors
+    })
+  }
+}
+
+exports.ValidationError = ValidationError
+
+/**
+ * @summary Unknown filter error
+ * @class
+ * @public
+ *
+ * @example
+ * throw new errors.UnknownFilterError('hostname', 'shout', [ 'hostname' ])
+ */
+class UnknownFilterError extends ObjectTemplateError {
+  /**
+   * @summary Create an unknown filter error
+   * @param {String} variable - variable name
+   * @param {String} filter - filter name
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new UnknownFilterError('hostname', 'shout')
+   */
+  constructor (variable, filter, path) {
+    super(`Unknown filter ${filter} applied to ${variable}`, {
+      code: 'EUNKNOWNFILTER',
+      variable,
+      path,
+      filter
+    })
+  }
+}
+
+exports.UnknownFilterError = UnknownFilterError
+
+/**
+ * @summary Irreversible filter error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when decompiling an interpolation that uses a filter
+ * which doesn't declare an inverse function.
+ *
+ * @example
+ * throw new errors.IrreversibleFilterError('description', 'truncate', [ 'description' ])
+ */
+class IrreversibleFilterError extends ObjectTemplateError {
+  /**
+   * @summary Create an irreversible filter error
+   * @param {String} variable - variable name
+   * @param {String} filter - filter name
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new IrreversibleFilterError('description', 'truncate')
+   */
+  constructor (variable, filter, path) {
+    super(`Can't decompile ${variable}: the ${filter} filter has no inverse`, {
+      code: 'EIRREVERSIBLEFILTER',
+      variable,
+      path,
+      filter
+    })
+  }
+}
+
+exports.IrreversibleFilterError = IrreversibleFilterError
+
+/**
+ * @summary Filter error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when a filter, or its inverse, fails to transform a value.
+ *
+ * @example
+ * throw new errors.FilterError('settings', 'json', '{', [ 'settings' ])
+ */
+class FilterError extends ObjectTemplateError {
+  /**
+   * @summary Create a filter error
+   * @param {String} variable - variable name
+   * @param {String} filter - filter name
+   * @param {*} value - value that couldn't be transformed
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new FilterError('settings', 'json', '{')
+   */
+  constructor (variable, filter, value, path) {
+    super(`Can't apply the ${filter} filter to ${value}`, {
+      code: 'EFILTER',
+      variable,
+      path,
+      filter,
+      value
+    })
+  }
+}
+
+exports.FilterError = FilterError
+
+/**
+ * @summary Unknown template error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when a template includes a template that is not registered.
+ *
+ * @example
+ * throw new errors.UnknownTemplateError('network', [ 'config' ])
+ */
+class UnknownTemplateError extends ObjectTemplateError {
+  /**
+   * @summary Create an unknown template error
+   * @param {String} template - template name
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new UnknownTemplateError('network')
+   */
+  constructor (template, path) {
+    super(`Unknown template ${template}`, {
+      code: 'EUNKNOWNTEMPLATE',
+      path,
+      template
+    })
+  }
+}
+
+exports.UnknownTemplateError = UnknownTemplateError
+
+/**
+ * @summary Circular template error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when a template ends up including or extending itself. The
+ * chain of referenced templates is available through the `templates`
+ * property.
+ *
+ * @example
+ * throw new errors.CircularTemplateError([ 'network', 'wifi', 'network' ], [ 'config' ])
+ */
+class CircularTemplateError extends ObjectTemplateError {
+  /**
+   * @summary Create a circular template error
+   * @param {String[]} templates - chain of template names
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new CircularTemplateError([ 'network', 'network' ])
+   */
+  constructor (templates, path) {
+    super(`Circular template reference: ${_.join(templates, ' -> ')}`, {
+      code: 'ECIRCULARTEMPLATE',
+      path,
+      templates
+    })
+  }
+}
+
+exports.CircularTemplateError = CircularTemplateError
+
+/**
+ * @summary Duplicate key error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when a templated key compiles to the same key as another
+ * key of the same object, which would otherwise overwrite its value.
+ * The duplicate key is available through the `key` property, and is
+ * redacted if any key of the object references a secret.
+ *
+ * @example
+ * throw new errors.DuplicateKeyError('foo', [ '{{name}}' ])
+ */
+class DuplicateKeyError extends ObjectTemplateError {
+  /**
+   * @summary Create a duplicate key error
+   * @param {String} key - compiled key
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new DuplicateKeyError('foo')
+   */
+  constructor (key, path) {
+    super(`Duplicate key ${key}`, {
+      code: 'EDUPLICATEKEY',
+      path,
+      key
+    })
+  }
+}
+
+exports.DuplicateKeyError = DuplicateKeyError
+
+/**
+ * @summary Asynchronous resolver error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when a resolver returns a promise outside of `.compileAsync()`.
+ * The name of the resolver is available through the `resolver` property.
+ *
+ * @example
+ * throw new errors.AsyncResolverError('wifi/password', 'vault', [ 'password' ])
+ */
+class AsyncResolverError extends ObjectTemplateError {
+  /**
+   * @summary Create an asynchronous resolver error
+   * @param {String} variable - resolver key
+   * @param {String} resolver - resolver name
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new AsyncResolverError('wifi/password', 'vault')
+   */
+  constructor (variable, resolver, path) {
+    super(`The ${resolver} resolver returned a promise, which is only supported by .compileAsync()`, {
+      code: 'EASYNCRESOLVER',
+      variable,
+      path,
+      resolver
+    })
+  }
+}
+
+exports.AsyncResolverError = AsyncResolverError
+
+/**
+ * @summary Invalid remove error
+ * @class
+ * @public
+ *
+ * @description
+ * Thrown when the `$remove` property of a template that extends
+ * another one is not an array of property paths. The name of the
+ * base template is available through the `template` property.
+ *
+ * @example
+ * throw new errors.InvalidRemoveError('device', [ 'config' ])
+ */
+class InvalidRemoveError extends ObjectTemplateError {
+  /**
+   * @summary Create an invalid remove error
+   * @param {String} template - base template name
+   * @param {Array} [path] - template path
+   *
+   * @example
+   * const error = new InvalidRemoveError('device')
+   */
+  constructor (template, path) {
+    super(`Can't extend ${template}: $remove must be an array of property paths`, {
+      code: 'EINVALIDREMOVE',
+      path,
+      template
+    })
+  }
+}
+
+exports.InvalidRemoveError = InvalidRemoveError
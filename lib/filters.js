@@ -0,0 +1,162 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * @summary Registered filters
+ * @type {Object}
+ * @private
+ */
+const registry = Object.create(null)
+
+/**
+ * @summary Register a filter
+ * @function
+ * @public
+ *
+ * @description
+ * A filter definition contains:
+ *
+ * - `apply`: a function that transforms a value when compiling
+ * - `inverse` (optional): a function that undoes `apply` when decompiling
+ *
+ * Both functions receive the value followed by the filter arguments.
+ * Filters without an inverse can be used when compiling, but templates
+ * that use them can't be decompiled.
+ *
+ * @param {String} name - filter name
+ * @param {Object} definition - filter definition
+ * @param {Function} definition.apply - apply function
+ * @param {Function} [definition.inverse] - inverse function
+ *
+ * @example
+ * filters.register('reverse', {
+ *   apply: (value) => {
+ *     return _.join(_.reverse(_.split(value, '')), '')
+ *   },
+ *   inverse: (value) => {
+ *     return _.join(_.reverse(_.split(value, '')), '')
+ *   }
+ * })
+ */
+exports.register = (name, definition) => {
+  if (!/^\w+$/.test(name)) {
+    throw new Error(`Invalid filter name: ${name}`)
+  }
+
+  if (!_.isFunction(_.get(definition, [ 'apply' ]))) {
+    throw new Error(`The ${name} filter must define an apply function`)
+  }
+
+  if (!_.isNil(definition.inverse) && !_.isFunction(definition.inverse)) {
+    throw new Error(`The inverse of the ${name} filter must be a function`)
+  }
+
+  registry[name] = _.assign({}, definition)
+}
+
+/**
+ * @summary Get a filter definition
+ * @function
+ * @public
+ *
+ * @param {String} name - filter name
+ * @returns {(Object|undefined)} filter definition
+ *
+ * @example
+ * const upper = filters.get('upper')
+ * console.log(upper.apply('foo'))
+ * > 'FOO'
+ */
+exports.get = (name) => {
+  return registry[name]
+}
+
+/**
+ * @summary Return a value untouched
+ * @function
+ * @private
+ *
+ * @description
+ * Used as the inverse of filters that normalize their input,
+ * given that any normalized value is a valid input.
+ *
+ * @param {*} value - value
+ * @returns {*} value
+ *
+ * @example
+ * console.log(identity('foo'))
+ * > 'foo'
+ */
+const identity = (value) => {
+  return value
+}
+
+exports.register('lower', {
+  apply: _.toLower,
+  inverse: identity
+})
+
+exports.register('upper', {
+  apply: _.toUpper,
+  inverse: identity
+})
+
+exports.register('trim', {
+  apply: _.trim,
+  inverse: identity
+})
+
+exports.register('pad', {
+  apply: (value, width, character = '0') => {
+    return _.padStart(value, width, character)
+  },
+  inverse: (value, width, character = '0') => {
+    // Keep at least one character, so that zero padded zeros survive
+    const string = _.toString(value)
+    const stripped = _.trimStart(string, _.toString(character))
+    return _.isEmpty(stripped) ? _.last(string) || '' : stripped
+  }
+})
+
+exports.register('urlencode', {
+  apply: (value) => {
+    return encodeURIComponent(value)
+  },
+  inverse: (value) => {
+    return decodeURIComponent(value)
+  }
+})
+
+exports.register('json', {
+  apply: (value) => {
+    return JSON.stringify(value)
+  },
+  inverse: (value) => {
+    return JSON.parse(value)
+  }
+})
+
+exports.register('truncate', {
+  apply: (value, length) => {
+    return _.truncate(value, {
+      length
+    })
+  }
+})
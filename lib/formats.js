@@ -0,0 +1,242 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+/**
+ * @module formats
+ *
+ * @description
+ * Templates, data and results can be stored as JSON, YAML or JSON5
+ * files, whose format is detected from their extensions. The keys
+ * are kept in the order in which they appear, so files can be read,
+ * compiled or decompiled, and written back without reordering them.
+ */
+
+const _ = require('lodash')
+const fs = require('fs')
+const jsYaml = require('js-yaml')
+const json5 = require('json5')
+const path = require('path')
+
+/**
+ * @summary Supported formats
+ * @type {Object}
+ * @constant
+ * @private
+ */
+const FORMATS = {
+  json: {
+    extensions: [ '.json' ],
+    parse: JSON.parse,
+    stringify: (value) => {
+      return `${JSON.stringify(value, null, 2)}\n`
+    }
+  },
+  yaml: {
+    extensions: [ '.yaml', '.yml' ],
+
+    // The core schema keeps timestamps as strings, which
+    // the values of JSON templates, data and results are
+    parse: (text) => {
+      return jsYaml.safeLoad(text, {
+        schema: jsYaml.CORE_SCHEMA
+      })
+    },
+
+    // Undefined values can't be represented in YAML, so they are
+    // left out of objects and replaced with null in arrays, as in JSON
+    stringify: (value) => {
+      return jsYaml.safeDump(JSON.parse(JSON.stringify(value)), {
+        schema: jsYaml.CORE_SCHEMA,
+        noRefs: true
+      })
+    }
+  },
+  json5: {
+    extensions: [ '.json5' ],
+    parse: json5.parse,
+    stringify: (value) => {
+      return `${json5.stringify(value, null, 2)}\n`
+    }
+  }
+}
+
+/**
+ * @summary Check if a format is supported
+ * @function
+ * @public
+ *
+ * @param {String} format - format name
+ * @returns {Boolean} whether the format is supported
+ *
+ * @example
+ * if (formats.isSupported('yaml')) {
+ *   console.log('YAML is supported')
+ * }
+ */
+exports.isSupported = (format) => {
+  return _.has(FORMATS, [ format ])
+}
+
+/**
+ * @summary Get the definition of a format
+ * @function
+ * @private
+ *
+ * @param {String} format - format name
+ * @returns {Object} format definition
+ *
+ * @example
+ * const definition = getDefinition('yaml')
+ */
+const getDefinition = (format) => {
+  if (!exports.isSupported(format)) {
+    throw new Error(`Unknown format: ${format}`)
+  }
+
+  return FORMATS[format]
+}
+
+/**
+ * @summary Get the format of a file from its extension
+ * @function
+ * @public
+ *
+ * @description
+ * Files with unknown extensions are considered to be JSON files.
+ *
+ * @param {String} file - file path
+ * @returns {String} format name
+ *
+ * @example
+ * console.log(formats.fromFile('template.yml'))
+ * > 'yaml'
+ */
+exports.fromFile = (file) => {
+  const extension = _.toLower(path.extname(file))
+
+  return _.findKey(FORMATS, (definition) => {
+    return _.includes(definition.extensions, extension)
+  }) || 'json'
+}
+
+/**
+ * @summary Parse a string in a format
+ * @function
+ * @public
+ *
+ * @param {String} text - text
+ * @param {String} format - format name
+ * @param {String} source - name of the text source, used when reporting errors
+ * @returns {*} parsed value
+ *
+ * @example
+ * console.log(formats.parse('greeting: Hello, {{name}}!', 'yaml', 'template.yaml'))
+ * > { greeting: 'Hello, {{name}}!' }
+ */
+exports.parse = (text, format, source) => {
+  const definition = getDefinition(format)
+
+  try {
+    return definition.parse(text)
+  } catch (error) {
+    throw new Error(`Invalid ${_.toUpper(format)} in ${source}: ${error.message}`)
+  }
+}
+
+/**
+ * @summary Serialize a value in a format
+ * @function
+ * @public
+ *
+ * @param {*} value - value
+ * @param {String} format - format name
+ * @returns {String} text, ending with a new line
+ *
+ * @example
+ * console.log(formats.stringify({
+ *   greeting: 'Hello, {{name}}!'
+ * }, 'yaml'))
+ * > greeting: 'Hello, {{name}}!'
+ */
+exports.stringify = (value, format) => {
+  return getDefinition(format).stringify(value)
+}
+
+/**
+ * @summary Read a JSON, YAML or JSON5 file
+ * @function
+ * @public
+ *
+ * @param {String} file - file path
+ * @param {Object} [options] - options
+ * @param {String} [options.format] - format name, which defaults to the one of the file extension
+ * @returns {Promise}
+ * @fulfil {*} - parsed contents
+ *
+ * @example
+ * formats.readFile('template.yaml').then((template) => {
+ *   console.log(template)
+ * })
+ */
+exports.readFile = (file, options = {}) => {
+  const format = options.format || exports.fromFile(file)
+
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, 'utf8', (error, text) => {
+      if (error) {
+        return reject(new Error(`Can't read ${file}: ${error.message}`))
+      }
+
+      return resolve(text)
+    })
+  }).then((text) => {
+    return exports.parse(text, format, file)
+  })
+}
+
+/**
+ * @summary Write a JSON, YAML or JSON5 file
+ * @function
+ * @public
+ *
+ * @param {String} file - file path
+ * @param {*} value - value
+ * @param {Object} [options] - options
+ * @param {String} [options.format] - format name, which defaults to the one of the file extension
+ * @returns {Promise}
+ *
+ * @example
+ * formats.writeFile('result.yaml', {
+ *   greeting: 'Hello, John Doe!'
+ * }).then(() => {
+ *   console.log('Done!')
+ * })
+ */
+exports.writeFile = (file, value, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const text = exports.stringify(value, options.format || exports.fromFile(file))
+
+    fs.writeFile(file, text, (error) => {
+      if (error) {
+        return reject(new Error(`Can't write ${file}: ${error.message}`))
+      }
+
+      return resolve()
+    })
+  })
+}
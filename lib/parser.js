@@ -0,0 +1,622 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+/**
+ * @module parser
+ *
+ * @description
+ * Template strings are made of literal text and interpolations, like
+ * `{{number:port || fleet.port || 80 | pad:5}}`, which consist of an
+ * optional `secret` modifier, an optional type prefix, a property path,
+ * or the key of a resolver prefix, like `{{env:HOSTNAME}}`, optional
+ * alternatives preceded by `||`, which are either fallback property paths
+ * or, as the last alternative, a JSON encoded default value, and a chain
+ * of filters preceded by `|`, which can take arguments separated by `:`.
+ *
+ * Malformed interpolations result in a `TemplateSyntaxError`, while
+ * delimited text that doesn't look like an expression at all, like
+ * `{{foo bar}}`, is taken literally.
+ *
+ * An opening delimiter preceded by a backslash, like `\{{name}}`, is
+ * taken literally as well, without the backslash, while two backslashes
+ * result in a literal backslash followed by an interpolation.
+ */
+
+const _ = require('lodash')
+const errors = require('./errors')
+const resolvers = require('./resolvers')
+const types = require('./types')
+
+/**
+ * @summary Default delimiters
+ * @type {String[]}
+ * @constant
+ * @private
+ */
+const DEFAULT_DELIMITERS = [ '{{', '}}' ]
+
+/**
+ * @summary Valid property path
+ * @type {RegExp}
+ * @constant
+ * @private
+ *
+ * @description
+ * Keys that are not identifiers, like `labels["io.balena.feature"]`
+ * or `env['MY-VAR']`, are written as quoted strings inside brackets.
+ */
+const PROPERTY = /^(?:[\w$.]|\[[\w$.]*\]|\["(?:[^"\\]|\\.)*"\]|\['(?:[^'\\]|\\.)*'\])+$/
+
+/**
+ * @summary Type or resolver prefix of an interpolation expression
+ * @type {RegExp}
+ * @constant
+ * @private
+ */
+const PREFIX = /^(\w+)\s*:\s*/
+
+/**
+ * @summary Modifier of the interpolations of sensitive values
+ * @type {String}
+ * @constant
+ * @private
+ */
+const SECRET = 'secret'
+
+/**
+ * @summary Get the opening and closing delimiters
+ * @function
+ * @private
+ *
+ * @param {Object} options - options
+ * @param {String[]} [options.delimiters] - delimiters
+ * @returns {String[]} delimiters
+ *
+ * @example
+ * console.log(getDelimiters({}))
+ * > [ '{{', '}}' ]
+ */
+const getDelimiters = (options) => {
+  return _.defaults(_.clone(options.delimiters) || [], DEFAULT_DELIMITERS)
+}
+
+/**
+ * @summary Create a scanner state
+ * @function
+ * @private
+ *
+ * @description
+ * The scanner keeps track of quoted strings and nested brackets,
+ * so that separators and delimiters inside them are ignored.
+ *
+ * @returns {Object} scanner state
+ *
+ * @example
+ * const state = createScanner()
+ */
+const createScanner = () => {
+  return {
+    quote: null,
+    escaped: false,
+    depth: 0
+  }
+}
+
+/**
+ * @summary Feed a character to a scanner
+ * @function
+ * @private
+ *
+ * @param {Object} state - scanner state
+ * @param {String} character - character
+ *
+ * @example
+ * const state = createScanner()
+ * scan(state, '"')
+ * console.log(state.quote)
+ * > '"'
+ */
+const scan = (state, character) => {
+  if (state.quote) {
+    // Only the previous character can escape this one
+    const escaped = state.escaped
+    state.escaped = !escaped && character === '\\'
+    if (!escaped && character === state.quote) {
+      state.quote = null
+    }
+  } else if (character === '"' || character === '\'') {
+    state.quote = character
+  } else if (_.includes([ '[', '{' ], character)) {
+    state.depth += 1
+  } else if (_.includes([ ']', '}' ], character)) {
+    state.depth = Math.max(state.depth - 1, 0)
+  }
+}
+
+/**
+ * @summary Check if a scanner is at the top level
+ * @function
+ * @private
+ *
+ * @param {Object} state - scanner state
+ * @returns {Boolean} whether the scanner is outside quotes and brackets
+ *
+ * @example
+ * if (isTopLevel(createScanner())) {
+ *   console.log('Top level')
+ * }
+ */
+const isTopLevel = (state) => {
+  return !state.quote && state.depth === 0
+}
+
+/**
+ * @summary Split a string on a character, ignoring quoted or nested occurrences
+ * @function
+ * @private
+ *
+ * @param {String} string - string
+ * @param {String} separator - separator character
+ * @returns {String[]} parts
+ *
+ * @example
+ * console.log(splitTopLevel('pad:5:":"', ':'))
+ * > [ 'pad', '5', '":"' ]
+ */
+const splitTopLevel = (string, separator) => {
+  const state = createScanner()
+
+  return _.reduce(string, (parts, character) => {
+    if (character === separator && isTopLevel(state)) {
+      return _.concat(parts, '')
+    }
+
+    scan(state, character)
+    parts[parts.length - 1] += character
+    return parts
+  }, [ '' ])
+}
+
+/**
+ * @summary Parse a filter argument
+ * @function
+ * @private
+ *
+ * @description
+ * Arguments are parsed as JSON when possible, and taken as
+ * plain strings otherwise.
+ *
+ * @param {String} argument - raw argument
+ * @returns {*} argument
+ *
+ * @example
+ * console.log(parseFilterArgument('5'))
+ * > 5
+ */
+const parseFilterArgument = (argument) => {
+  try {
+    return JSON.parse(argument)
+  } catch (error) {
+    return argument
+  }
+}
+
+/**
+ * @summary Check if a string is valid JSON
+ * @function
+ * @private
+ *
+ * @param {String} string - string
+ * @returns {Boolean} whether the string is valid JSON
+ *
+ * @example
+ * if (isJSON('"Jane"')) {
+ *   console.log('This is a JSON literal')
+ * }
+ */
+const isJSON = (string) => {
+  try {
+    JSON.parse(string)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * @summary Parse the prefixes of an interpolation expression
+ * @function
+ * @private
+ *
+ * @description
+ * An expression can start with a `secret` modifier, a type prefix and
+ * a resolver prefix, all of them optional, in that order. The `data`
+ * resolver is the implicit one, so it is not reported. A first prefix
+ * that is neither a type nor a resolver is reported as `unknown`.
+ *
+ * @param {String} expression - trimmed expression
+ * @param {Object} options - options
+ * @param {Object} [options.resolvers] - resolvers by name
+ * @returns {Object} prefixes, along with the rest of the expression as `body`
+ *
+ * @example
+ * console.log(parsePrefixes('secret:number:env:PORT', {}))
+ * > { secret: true, type: 'number', resolver: 'env', body: 'PORT' }
+ */
+const parsePrefixes = (expression, options) => {
+  const prefixes = {
+    body: expression
+  }
+
+  let match = PREFIX.exec(prefixes.body)
+
+  if (match && match[1] === SECRET) {
+    prefixes.secret = true
+    prefixes.body = prefixes.body.slice(match[0].length)
+    match = PREFIX.exec(prefixes.body)
+  }
+
+  if (match && types.get(match[1])) {
+    prefixes.type = match[1]
+    prefixes.body = prefixes.body.slice(match[0].length)
+    match = PREFIX.exec(prefixes.body)
+  }
+
+  if (match && resolvers.get(match[1], options)) {
+    if (match[1] !== 'data') {
+      prefixes.resolver = match[1]
+    }
+
+    prefixes.body = prefixes.body.slice(match[0].length)
+  } else if (match && !prefixes.type) {
+    prefixes.unknown = match[1]
+    prefixes.body = prefixes.body.slice(match[0].length)
+  }
+
+  return prefixes
+}
+
+/**
+ * @summary Parse an interpolation expression
+ * @function
+ * @private
+ *
+ * @param {String} expression - expression, without delimiters
+ * @param {Number} offset - character offset of the interpolation
+ * @param {Object} options - options
+ * @param {Object} [options.resolvers] - resolvers by name
+ * @param {Array} [options.path] - template path
+ * @returns {(Object|null)} expression details, or null if the expression is not valid
+ *
+ * @example
+ * console.log(parseExpression(' number:port || fleet.port || 80 | pad:5 ', 0, {}))
+ * > {
+ * >   type: 'number',
+ * >   path: 'port',
+ * >   fallbacks: [ 'fleet.port' ],
+ * >   defaultValue: '80',
+ * >   filters: [ { name: 'pad', args: [ 5 ] } ]
+ * > }
+ */
+const parseExpression = (expression, offset, options) => {
+  const prefixes = parsePrefixes(_.trim(expression), options)
+  const [ path, ...parts ] = _.map(splitTopLevel(prefixes.body, '|'), _.trim)
+
+  if (_.isEmpty(path)) {
+    throw new errors.TemplateSyntaxError('Empty property name', offset, options.path)
+  }
+
+  // The keys of resolvers, like file paths, are not property paths
+  if (!prefixes.resolver && !PROPERTY.test(path)) {
+    return null
+  }
+
+  if (prefixes.unknown) {
+    throw new errors.TemplateSyntaxError(`Unknown type or resolver ${prefixes.unknown}`, offset, options.path, {
+      variable: path
+    })
+  }
+
+  return _.reduce(parts, (result, part, index) => {
+    // An empty part is the gap of a `||` operator, followed by an alternative
+    if (_.isEmpty(part)) {
+      const alternative = parts[index + 1] || ''
+
+      if (!_.isUndefined(result.defaultValue)) {
+        throw new errors.TemplateSyntaxError(`The default value of ${path} must be its last alternative`,
+          offset, options.path, {
+            variable: path
+          })
+      }
+
+      if (isJSON(alternative)) {
+        result.defaultValue = alternative
+      } else if (PROPERTY.test(alternative)) {
+        result.fallbacks = _.concat(result.fallbacks || [], alternative)
+      } else {
+        throw new errors.InvalidDefaultError(path, alternative, options.path, offset)
+      }
+    } else if (index === 0 || !_.isEmpty(parts[index - 1])) {
+      const [ name, ...args ] = _.map(splitTopLevel(part, ':'), _.trim)
+      result.filters.push({
+        name,
+        args: _.map(args, parseFilterArgument)
+      })
+    }
+
+    return result
+  }, _.omitBy({
+    secret: prefixes.secret,
+    type: prefixes.type,
+    resolver: prefixes.resolver,
+    path,
+    filters: []
+  }, _.isUndefined))
+}
+
+/**
+ * @summary Find the closing delimiter of an interpolation
+ * @function
+ * @private
+ *
+ * @description
+ * Closing delimiters inside quoted strings or brackets, like the
+ * ones of object default values, don't close the interpolation.
+ *
+ * @param {String} template - template
+ * @param {Number} start - position after the opening delimiter
+ * @param {RegExp} close - sticky closing delimiter regular expression
+ * @returns {(Object|null)} closing delimiter `index` and `length`, if found
+ *
+ * @example
+ * console.log(findClose('{{name}}', 2, /}}/y))
+ * > { index: 6, length: 2 }
+ */
+const findClose = (template, start, close) => {
+  const state = createScanner()
+
+  for (let index = start; index < template.length; index += 1) {
+    if (isTopLevel(state)) {
+      close.lastIndex = index
+      const match = close.exec(template)
+
+      if (match && match[0].length > 0) {
+        return {
+          index,
+          length: match[0].length
+        }
+      }
+    }
+
+    scan(state, template[index])
+  }
+
+  return null
+}
+
+/**
+ * @summary Add a literal node
+ * @function
+ * @private
+ *
+ * @description
+ * Consecutive literals, like the ones around an escaped
+ * delimiter, are merged into a single node.
+ *
+ * @param {Object[]} nodes - nodes
+ * @param {String} value - literal value
+ * @param {Number} start - start offset
+ * @param {Number} end - end offset
+ *
+ * @example
+ * const nodes = []
+ * pushLiteral(nodes, 'Hello', 0, 5)
+ */
+const pushLiteral = (nodes, value, start, end) => {
+  if (start === end) {
+    return
+  }
+
+  const previous = _.last(nodes)
+
+  if (previous && previous.kind === 'literal' && previous.end === start) {
+    previous.value += value
+    previous.end = end
+    return
+  }
+
+  nodes.push({
+    kind: 'literal',
+    value,
+    start,
+    end
+  })
+}
+
+/**
+ * @summary Parse a template string
+ * @function
+ * @public
+ *
+ * @description
+ * Returns a list of nodes covering the whole string, each of them
+ * containing its `kind`, and its `start` and `end` offsets.
+ *
+ * Literal nodes contain their `value`. Interpolation nodes contain
+ * their `raw` source, the `path` of the variable, and their `filters`,
+ * as a list of `name` and `args` pairs, along with their `type`, their
+ * `resolver`, their `fallbacks` paths, and their JSON encoded
+ * `defaultValue`, if any. The `path` of an interpolation with a
+ * resolver is the key passed to the resolver. Interpolations of
+ * sensitive values, like `{{secret:password}}`, are marked as `secret`.
+ *
+ * Delimiters are regular expression sources. Whitespace is allowed
+ * around the expression of an interpolation. The value of a literal
+ * node doesn't contain the backslashes that escape delimiters.
+ *
+ * A `TemplateSyntaxError` is thrown for unclosed delimiters, empty
+ * property names, unknown prefixes and invalid default values.
+ *
+ * @param {String} template - template string
+ * @param {Object} [options] - options
+ * @param {String[]} [options.delimiters] - delimiters
+ * @param {Object} [options.resolvers] - resolvers by name
+ * @param {Array} [options.path] - template path, used when reporting errors
+ * @returns {Object[]} nodes
+ *
+ * @example
+ * console.log(parser.parse('Hello, {{ name | upper }}!'))
+ * > [
+ * >   { kind: 'literal', value: 'Hello, ', start: 0, end: 7 },
+ * >   {
+ * >     kind: 'interpolation',
+ * >     raw: '{{ name | upper }}',
+ * >     path: 'name',
+ * >     filters: [ { name: 'upper', args: [] } ],
+ * >     start: 7,
+ * >     end: 25
+ * >   },
+ * >   { kind: 'literal', value: '!', start: 25, end: 26 }
+ * > ]
+ */
+exports.parse = (template, options = {}) => {
+  const delimiters = getDelimiters(options)
+  const open = new RegExp(_.first(delimiters), 'g')
+  const close = new RegExp(_.last(delimiters), 'y')
+  const nodes = []
+  let position = 0
+  let literalStart = 0
+
+  while (position < template.length) {
+    open.lastIndex = position
+    const match = open.exec(template)
+
+    if (!match) {
+      break
+    }
+
+    const escaped = match.index > literalStart && template[match.index - 1] === '\\'
+    const doubleEscaped = escaped && match.index - 1 > literalStart && template[match.index - 2] === '\\'
+
+    if (escaped && !doubleEscaped) {
+      pushLiteral(nodes, template.slice(literalStart, match.index - 1), literalStart, match.index)
+      literalStart = match.index
+      position = match.index + Math.max(match[0].length, 1)
+      continue
+    }
+
+    const expressionStart = match.index + match[0].length
+    const end = findClose(template, expressionStart, close)
+
+    if (!end) {
+      throw new errors.TemplateSyntaxError('Unclosed delimiter', match.index, options.path)
+    }
+
+    const expression = parseExpression(template.slice(expressionStart, end.index), match.index, options)
+
+    if (expression) {
+      const literalEnd = doubleEscaped ? match.index - 1 : match.index
+      pushLiteral(nodes, template.slice(literalStart, literalEnd), literalStart, match.index)
+
+      literalStart = end.index + end.length
+      nodes.push(_.assign({
+        kind: 'interpolation',
+        raw: template.slice(match.index, literalStart)
+      }, expression, {
+        start: match.index,
+        end: literalStart
+      }))
+    }
+
+    position = expression ? literalStart : match.index + Math.max(match[0].length, 1)
+  }
+
+  pushLiteral(nodes, template.slice(literalStart), literalStart, template.length)
+  return nodes
+}
+
+/**
+ * @summary Escape the opening delimiters of a string
+ * @function
+ * @public
+ *
+ * @description
+ * The result is taken literally when parsed as a template string.
+ *
+ * @param {String} text - text
+ * @param {Object} [options] - options
+ * @param {String[]} [options.delimiters] - delimiters
+ * @returns {String} escaped text
+ *
+ * @example
+ * console.log(parser.escape('Hello, {{name}}!'))
+ * > 'Hello, \\{{name}}!'
+ */
+exports.escape = (text, options = {}) => {
+  return _.replace(text, new RegExp(_.first(getDelimiters(options)), 'g'), '\\$&')
+}
+
+/**
+ * @summary Replace a fallback of an interpolation with a default value
+ * @function
+ * @public
+ *
+ * @description
+ * The alternatives after the fallback, which can't be reached anymore,
+ * are dropped, while the rest of the interpolation is kept as it is.
+ *
+ * @param {Object} interpolation - interpolation node
+ * @param {String} fallback - fallback property path
+ * @param {*} value - default value
+ * @param {Object} [options] - options
+ * @param {String[]} [options.delimiters] - delimiters
+ * @returns {String} raw interpolation
+ *
+ * @example
+ * const [ interpolation ] = parser.parse('{{name || fleet.name || "none" | upper}}')
+ * console.log(parser.replaceFallback(interpolation, 'fleet.name', 'foo'))
+ * > '{{name || "foo" | upper}}'
+ */
+exports.replaceFallback = (interpolation, fallback, value, options = {}) => {
+  const delimiters = getDelimiters(options)
+  const start = new RegExp(_.first(delimiters), 'y').exec(interpolation.raw)[0].length
+  const end = findClose(interpolation.raw, start, new RegExp(_.last(delimiters), 'y'))
+  const [ path, ...parts ] = splitTopLevel(interpolation.raw.slice(start, end.index), '|')
+
+  // An empty part is the gap of a `||` operator, followed by an alternative
+  const position = _.findIndex(parts, (part, index) => {
+    return index > 0 && _.isEmpty(_.trim(parts[index - 1])) && _.trim(part) === fallback
+  })
+
+  // Drop the alternatives after the fallback, along with their `||` operators
+  const filters = _.filter(_.drop(parts, position + 1), (part, index, rest) => {
+    return !_.isEmpty(_.trim(part)) && (index === 0 || !_.isEmpty(_.trim(rest[index - 1])))
+  })
+
+  const replacement = _.replace(parts[position], fallback, JSON.stringify(value))
+  const expression = _.join(_.concat(path, _.take(parts, position), replacement, filters), '|')
+
+  // Keep the original whitespace before the closing delimiter
+  const trailing = /\s*$/.exec(_.last(parts))[0]
+
+  return _.join([
+    interpolation.raw.slice(0, start),
+    _.trimEnd(expression) + trailing,
+    interpolation.raw.slice(end.index)
+  ], '')
+}
@@ -0,0 +1,70 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * @summary Registered templates
+ * @type {Object}
+ * @private
+ */
+const registry = Object.create(null)
+
+/**
+ * @summary Register a named template
+ * @function
+ * @public
+ *
+ * @description
+ * The template is copied, so later changes to the given
+ * object don't affect the registered template.
+ *
+ * @param {String} name - template name
+ * @param {*} template - template
+ *
+ * @example
+ * partials.register('network', {
+ *   ssid: '{{ssid}}'
+ * })
+ */
+exports.register = (name, template) => {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(`Invalid template name: ${name}`)
+  }
+
+  if (_.isUndefined(template)) {
+    throw new Error(`The ${name} template must not be undefined`)
+  }
+
+  registry[name] = _.cloneDeep(template)
+}
+
+/**
+ * @summary Get a named template
+ * @function
+ * @public
+ *
+ * @param {String} name - template name
+ * @returns {*} template, or undefined if it doesn't exist
+ *
+ * @example
+ * const network = partials.get('network')
+ */
+exports.get = (name) => {
+  return registry[name]
+}
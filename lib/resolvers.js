@@ -0,0 +1,158 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+/**
+ * @module resolvers
+ *
+ * @description
+ * A resolver looks up the value of a key in a source of values. The
+ * `data` resolver, which looks up property paths in the data object,
+ * is used by interpolations without a resolver prefix, and is the only
+ * one registered by default, while the rest are referenced by name,
+ * like `{{env:HOSTNAME}}`.
+ */
+
+const _ = require('lodash')
+const fs = require('fs')
+const path = require('path')
+const types = require('./types')
+
+/**
+ * @summary Registered resolvers
+ * @type {Object}
+ * @private
+ */
+const registry = Object.create(null)
+
+/**
+ * @summary Register a resolver
+ * @function
+ * @public
+ *
+ * @description
+ * A resolver is a function that receives the key of an interpolation
+ * and the data object, and returns the value of the key, or either
+ * `null` or `undefined` if the key is missing. Resolver names can't
+ * clash with type names, or with the `secret` modifier, as all of them
+ * are used as interpolation prefixes.
+ *
+ * @param {String} name - resolver name
+ * @param {Function} resolver - resolver function
+ *
+ * @example
+ * resolvers.register('upper', (key, data) => {
+ *   return _.get(data, key.toLowerCase())
+ * })
+ */
+exports.register = (name, resolver) => {
+  if (!/^\w+$/.test(name)) {
+    throw new Error(`Invalid resolver name: ${name}`)
+  }
+
+  if (name === 'secret') {
+    throw new Error('The secret name is reserved for the secret modifier')
+  }
+
+  if (types.get(name)) {
+    throw new Error(`The ${name} resolver clashes with the ${name} type`)
+  }
+
+  if (!_.isFunction(resolver)) {
+    throw new Error(`The ${name} resolver must be a function`)
+  }
+
+  registry[name] = resolver
+}
+
+/**
+ * @summary Get a resolver
+ * @function
+ * @public
+ *
+ * @description
+ * Resolvers passed in `options.resolvers` take precedence
+ * over the registered ones.
+ *
+ * @param {String} name - resolver name
+ * @param {Object} [options] - options
+ * @param {Object} [options.resolvers] - resolvers by name
+ * @returns {(Function|undefined)} resolver
+ *
+ * @example
+ * const data = resolvers.get('data')
+ * console.log(data('name', { name: 'foo' }))
+ * > 'foo'
+ */
+exports.get = (name, options = {}) => {
+  if (_.has(options.resolvers, [ name ])) {
+    return options.resolvers[name]
+  }
+
+  return registry[name]
+}
+
+/**
+ * @summary Environment variable resolver
+ * @function
+ * @public
+ *
+ * @description
+ * This resolver is not registered by default, as it exposes the
+ * environment of the process to whoever writes the templates.
+ *
+ * @param {String} key - environment variable name
+ * @returns {(String|undefined)} environment variable value
+ *
+ * @example
+ * resolvers.register('env', resolvers.env)
+ */
+exports.env = (key) => {
+  return process.env[key]
+}
+
+/**
+ * @summary Text file resolver
+ * @function
+ * @public
+ *
+ * @description
+ * Relative paths are resolved from the current working directory.
+ * Missing files result in `null`. This resolver is not registered by
+ * default, as it exposes the file system to whoever writes the templates.
+ *
+ * @param {String} file - file path
+ * @returns {(String|null)} file contents
+ *
+ * @example
+ * console.log(resolvers.file('./certs/ca.pem'))
+ */
+exports.file = (file) => {
+  try {
+    return fs.readFileSync(path.resolve(file), 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+
+    throw error
+  }
+}
+
+exports.register('data', (key, data) => {
+  return _.get(data, key)
+})
@@ -0,0 +1,144 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+const types = require('./types')
+
+/**
+ * @summary Make sure a schema describes an object
+ * @function
+ * @private
+ *
+ * @param {Object} schema - schema
+ * @returns {Object} schema
+ *
+ * @example
+ * console.log(ensureObjectSchema({}))
+ * > { type: 'object', properties: {} }
+ */
+const ensureObjectSchema = (schema) => {
+  return _.defaults(schema, {
+    type: 'object',
+    properties: {}
+  })
+}
+
+/**
+ * @summary Get the schema of a single variable
+ * @function
+ * @private
+ *
+ * @param {Object} variable - variable
+ * @returns {Object} schema
+ *
+ * @example
+ * console.log(getVariableSchema({
+ *   property: 'age',
+ *   type: 'number',
+ *   default: 18
+ * }))
+ * > { type: 'number', default: 18 }
+ */
+const getVariableSchema = (variable) => {
+  const schema = {}
+
+  // Iteration sources are not declared through a type prefix
+  if (variable.type === 'array') {
+    schema.type = 'array'
+  } else {
+    _.assign(schema, _.get(types.get(variable.type), [ 'schema' ]))
+  }
+
+  if (_.has(variable, [ 'default' ])) {
+    schema.default = variable.default
+  }
+
+  if (variable.items) {
+    schema.items = exports.fromVariables(variable.items)
+  }
+
+  return schema
+}
+
+/**
+ * @summary Get the JSON Schema of a list of variables
+ * @function
+ * @public
+ *
+ * @description
+ * Dotted variable paths are expanded into nested object schemas.
+ * Variables without a default value that are neither optional nor
+ * restricted to conditional sections are considered to be required.
+ *
+ * A variable with an empty property describes the root value itself,
+ * which is the case for the items of iteration sections that use the
+ * item alias directly.
+ *
+ * @param {Object[]} variables - variables, as returned by `.variables()`
+ * @returns {Object} JSON Schema
+ *
+ * @example
+ * console.log(schema.fromVariables([
+ *   { property: 'person.age', type: 'number', paths: [ [ 'age' ] ], conditional: false }
+ * ]))
+ * > {
+ * >   type: 'object',
+ * >   properties: {
+ * >     person: {
+ * >       type: 'object',
+ * >       properties: {
+ * >         age: { type: 'number' }
+ * >       },
+ * >       required: [ 'age' ]
+ * >     }
+ * >   },
+ * >   required: [ 'person' ]
+ * > }
+ */
+exports.fromVariables = (variables) => {
+  return _.reduce(variables, (schema, variable) => {
+    const segments = _.toPath(variable.property)
+
+    if (_.isEmpty(segments)) {
+      return _.merge(schema, getVariableSchema(variable))
+    }
+
+    const required = !variable.conditional && !variable.optional && !_.has(variable, [ 'default' ])
+
+    const parent = _.reduce(_.initial(segments), (current, segment) => {
+      ensureObjectSchema(current)
+
+      if (required) {
+        current.required = _.union(current.required, [ segment ])
+      }
+
+      current.properties[segment] = current.properties[segment] || {}
+      return current.properties[segment]
+    }, schema)
+
+    const key = _.last(segments)
+    ensureObjectSchema(parent)
+    parent.properties[key] = _.merge(getVariableSchema(variable), parent.properties[key])
+
+    if (required) {
+      parent.required = _.union(parent.required, [ key ])
+    }
+
+    return schema
+  }, {})
+}
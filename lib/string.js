@@ -17,47 +17,425 @@
 'use strict'
 
 const _ = require('lodash')
-const regexes = require('./regexes')
+const bindings = require('./bindings')
+const errors = require('./errors')
+const filters = require('./filters')
+const parser = require('./parser')
+const resolvers = require('./resolvers')
+const types = require('./types')
+
+/**
+ * @summary Check if an interpolation refers to a sensitive value
+ * @function
+ * @private
+ *
+ * @description
+ * An interpolation is secret if it has the `secret` modifier, or if
+ * any of its property paths is, or is nested inside, one of the paths
+ * listed in `options.secrets`.
+ *
+ * @param {Object} interpolation - interpolation node
+ * @param {Object} options - options
+ * @param {String[]} [options.secrets] - secret property paths
+ * @returns {Boolean} whether the interpolation is secret
+ *
+ * @example
+ * if (isSecret({
+ *   path: 'wifi.password',
+ *   filters: []
+ * }, {
+ *   secrets: [ 'wifi' ]
+ * })) {
+ *   console.log('This is a secret')
+ * }
+ */
+const isSecret = (interpolation, options) => {
+  if (interpolation.secret) {
+    return true
+  }
+
+  if (_.isEmpty(options.secrets)) {
+    return false
+  }
+
+  // The keys of resolvers are not property paths
+  const paths = _.concat(interpolation.resolver ? [] : interpolation.path, interpolation.fallbacks || [])
+
+  return _.some(paths, (path) => {
+    const segments = _.toPath(path)
+    return _.some(options.secrets, (secret) => {
+      const prefix = _.toPath(secret)
+      return _.isEqual(_.take(segments, prefix.length), prefix)
+    })
+  })
+}
 
 /**
  * @summary Transform value to another type
  * @function
  * @private
  *
+ * @description
+ * Values of unknown types are returned untouched.
+ *
+ * @param {String} operation - either `format` or `parse`
  * @param {String} type - new type
  * @param {*} value - value to cast
+ * @param {Object} interpolation - interpolation node
+ * @param {Object} options - options
+ * @param {Array} [options.path] - template path
+ * @param {String[]} [options.secrets] - secret property paths
  * @returns {*} casted value
  *
  * @example
- * console.log(transformValue('number', '21'))
+ * console.log(transformValue('parse', 'number', '21', {
+ *   path: 'age',
+ *   filters: []
+ * }, {}))
  * > 21
  */
-const transformValue = (type, value) => {
-  const castFunctions = {
-    number: parseFloat,
-    object: (data) => {
-      if (_.isPlainObject(data)) {
-        return data
-      }
+const transformValue = (operation, type, value, interpolation, options) => {
+  const definition = types.get(type)
+
+  if (!definition) {
+    return value
+  }
+
+  try {
+    const result = definition[operation](value)
+
+    if (!_.isNaN(result)) {
+      return result
+    }
+  } catch (error) {
+    if (error instanceof errors.ObjectTemplateError) {
+      throw error
+    }
+  }
+
+  const shownValue = isSecret(interpolation, options) ? errors.REDACTED : value
+  throw new errors.TypeCastError(interpolation.path, type, shownValue, options.path)
+}
+
+/**
+ * @summary Run the filters of an interpolation
+ * @function
+ * @private
+ *
+ * @description
+ * Filters are applied in order when formatting, and their
+ * inverses are applied in reverse order when parsing.
+ *
+ * @param {String} operation - either `apply` or `inverse`
+ * @param {Object} interpolation - interpolation node
+ * @param {*} value - value
+ * @param {Object} options - options
+ * @param {Array} [options.path] - template path
+ * @returns {*} filtered value
+ *
+ * @example
+ * console.log(runFilters('apply', {
+ *   path: 'hostname',
+ *   filters: [ { name: 'upper', args: [] } ]
+ * }, 'foo', {}))
+ * > 'FOO'
+ */
+const runFilters = (operation, interpolation, value, options) => {
+  const chain = operation === 'inverse' ? _.reverse(_.clone(interpolation.filters)) : interpolation.filters
 
-      return JSON.parse(data)
-    },
-    string: (data) => {
-      if (_.isString(data)) {
-        return data
+  return _.reduce(chain, (accumulator, filter) => {
+    const definition = filters.get(filter.name)
+
+    if (!definition) {
+      throw new errors.UnknownFilterError(interpolation.path, filter.name, options.path)
+    }
+
+    if (!definition[operation]) {
+      throw new errors.IrreversibleFilterError(interpolation.path, filter.name, options.path)
+    }
+
+    try {
+      return definition[operation](accumulator, ...filter.args)
+    } catch (error) {
+      if (error instanceof errors.ObjectTemplateError) {
+        throw error
       }
 
-      return JSON.stringify(data)
+      const shownValue = isSecret(interpolation, options) ? errors.REDACTED : accumulator
+      throw new errors.FilterError(interpolation.path, filter.name, shownValue, options.path)
     }
+  }, value)
+}
+
+/**
+ * @summary Get the RegExp string that matches an interpolation
+ * @function
+ * @private
+ *
+ * @description
+ * The pattern of the type is only used if there are no filters,
+ * as filters can change the shape of the formatted value.
+ *
+ * @param {Object} interpolation - interpolation node
+ * @returns {String} regular expression string, with a single capturing group
+ *
+ * @example
+ * console.log(getValuePattern({
+ *   type: 'integer',
+ *   path: 'age',
+ *   filters: []
+ * }))
+ * > '(-?\\d+)'
+ */
+const getValuePattern = (interpolation) => {
+  if (!_.isEmpty(interpolation.filters)) {
+    return '(.+)'
   }
 
-  const result = _.get(castFunctions, type, _.identity)(value)
+  return `(${_.get(types.get(interpolation.type), [ 'pattern' ]) || '.+'})`
+}
 
-  if (_.isNaN(result)) {
-    throw new Error(`Can't convert ${value} to ${type}`)
+/**
+ * @summary Parse a template string
+ * @function
+ * @private
+ *
+ * @description
+ * The result is stored in `options.cache`, if provided, so that
+ * strings that are used over and over again are only parsed once.
+ *
+ * @param {String} template - template
+ * @param {Object} options - options
+ * @param {String[]} [options.delimiters] - delimiters
+ * @param {Map} [options.cache] - parsed template cache
+ * @returns {Object} parsed template
+ *
+ * @example
+ * const parsed = parseTemplate('Hello, {{name}}!', {})
+ * console.log(parsed.interpolations[0].path)
+ * > 'name'
+ */
+const parseTemplate = (template, options) => {
+  if (options.cache && options.cache.has(template)) {
+    return options.cache.get(template)
+  }
+
+  const nodes = parser.parse(template, options)
+  const interpolations = _.filter(nodes, {
+    kind: 'interpolation'
+  })
+
+  const valuePatterns = _.map(nodes, (node) => {
+    return node.kind === 'literal' ? _.escapeRegExp(node.value) : getValuePattern(node)
+  })
+
+  const parsed = {
+    nodes,
+    interpolations,
+    bounded: nodes.length === 1 && interpolations.length === 1,
+    valueRegex: new RegExp(`^${_.join(valuePatterns, '')}$`)
   }
 
-  return result
+  if (options.cache) {
+    options.cache.set(template, parsed)
+  }
+
+  return parsed
+}
+
+/**
+ * @summary Get the value of the variable of an interpolation
+ * @function
+ * @private
+ *
+ * @description
+ * The value is looked up by the resolver of the interpolation,
+ * or by the `data` resolver if the interpolation has none.
+ *
+ * @param {Object} interpolation - interpolation node
+ * @param {Object} data - data
+ * @param {Object} options - options
+ * @param {Object} [options.resolvers] - resolvers by name
+ * @returns {*} value
+ *
+ * @example
+ * console.log(getValue({
+ *   resolver: 'env',
+ *   path: 'HOME',
+ *   filters: []
+ * }, {}, {}))
+ * > '/root'
+ */
+const getValue = (interpolation, data, options) => {
+  const resolver = interpolation.resolver || 'data'
+  const value = resolvers.get(resolver, options)(interpolation.path, data)
+
+  // Asynchronous resolvers are awaited before compiling by `.compileAsync()`,
+  // and the promise is dropped here, so its rejection must be handled
+  if (value && _.isFunction(value.then)) {
+    if (_.isFunction(value.catch)) {
+      value.catch(_.noop)
+    }
+
+    throw new errors.AsyncResolverError(interpolation.path, resolver, options.path)
+  }
+
+  return value
+}
+
+/**
+ * @summary Check if the value of an interpolation is missing
+ * @function
+ * @private
+ *
+ * @description
+ * Errors are left to be reported when formatting the interpolation.
+ *
+ * @param {Object} interpolation - interpolation node
+ * @param {Object} data - data
+ * @param {Object} options - options
+ * @returns {Boolean} whether the value is missing
+ *
+ * @example
+ * if (isMissing({ path: 'name', filters: [] }, {}, {})) {
+ *   console.log('The name is missing')
+ * }
+ */
+const isMissing = (interpolation, data, options) => {
+  try {
+    return _.isNil(getValue(interpolation, data, options))
+  } catch (error) {
+    if (!(error instanceof errors.ObjectTemplateError)) {
+      throw error
+    }
+
+    return false
+  }
+}
+
+/**
+ * @summary Format the value of an interpolation
+ * @function
+ * @private
+ *
+ * @description
+ * If the variable is missing, its fallback paths are tried in
+ * order, and then its default value, if any.
+ *
+ * @param {Object} interpolation - interpolation node
+ * @param {Object} data - data
+ * @param {Object} options - options
+ * @param {Object} [options.resolvers] - resolvers by name
+ * @param {Array} [options.path] - template path
+ * @returns {*} formatted value
+ *
+ * @example
+ * console.log(formatInterpolation({
+ *   type: 'number',
+ *   path: 'age',
+ *   filters: []
+ * }, { age: '21' }, {}))
+ * > 21
+ */
+const formatInterpolation = (interpolation, data, options) => {
+  const property = interpolation.path
+  let value = getValue(interpolation, data, options)
+
+  if (_.isNil(value)) {
+    const available = _.find(interpolation.fallbacks, (path) => {
+      return !_.isNil(_.get(data, path))
+    })
+
+    value = _.isUndefined(available) ? null : _.get(data, available)
+  }
+
+  if (_.isNil(value)) {
+    if (_.isUndefined(interpolation.defaultValue)) {
+      throw new errors.MissingVariableError(property, options.path)
+    }
+
+    value = JSON.parse(interpolation.defaultValue)
+  }
+
+  return runFilters('apply', interpolation, transformValue('format', interpolation.type, value, interpolation, options), options)
+}
+
+/**
+ * @summary Get the placeholder of a kept interpolation
+ * @function
+ * @private
+ *
+ * @description
+ * The first fallback that is available in the data, if any, is replaced
+ * with its value as the default value of the placeholder, so that it is
+ * not lost when compiling the result later on.
+ *
+ * @param {Object} interpolation - interpolation node
+ * @param {Object} data - data
+ * @param {Object} options - options
+ * @param {String[]} [options.delimiters] - delimiters
+ * @returns {String} placeholder
+ *
+ * @example
+ * const [ interpolation ] = parser.parse('{{device.name || fleet.name}}')
+ * console.log(keepInterpolation(interpolation, {
+ *   fleet: {
+ *     name: 'production'
+ *   }
+ * }, {}))
+ * > '{{device.name || "production"}}'
+ */
+const keepInterpolation = (interpolation, data, options) => {
+  const available = _.find(interpolation.fallbacks, (path) => {
+    return !_.isNil(_.get(data, path))
+  })
+
+  if (_.isUndefined(available)) {
+    return interpolation.raw
+  }
+
+  return parser.replaceFallback(interpolation, available, _.get(data, available), options)
+}
+
+/**
+ * @summary Escape the opening delimiters of an interpolated value
+ * @function
+ * @private
+ *
+ * @description
+ * Bounded interpolations can produce objects and arrays, whose
+ * strings, including the keys of the objects, are escaped as well.
+ *
+ * @param {*} value - interpolated value
+ * @param {Object} options - options
+ * @param {String[]} [options.delimiters] - delimiters
+ * @returns {*} escaped value
+ *
+ * @example
+ * console.log(escapeValue({
+ *   name: '{{name}}'
+ * }, {}))
+ * > { name: '\\{{name}}' }
+ */
+const escapeValue = (value, options) => {
+  if (_.isString(value)) {
+    return parser.escape(value, options)
+  }
+
+  if (_.isArray(value)) {
+    return _.map(value, (element) => {
+      return escapeValue(element, options)
+    })
+  }
+
+  if (_.isPlainObject(value)) {
+    return _.reduce(value, (accumulator, element, key) => {
+      accumulator[parser.escape(key, options)] = escapeValue(element, options)
+      return accumulator
+    }, {})
+  }
+
+  return value
 }
 
 /**
@@ -68,11 +446,21 @@ const transformValue = (type, value) => {
  * @description
  * The gist of this function is: `(template, data) => string`
  *
+ * With `allowMissing`, the result is a template string itself, so the
+ * opening delimiters in it, including the escaped ones and those of the
+ * interpolated values, are escaped again, except for the ones of the
+ * kept interpolations.
+ *
  * @param {String} template - template
  * @param {Object} data - data
  * @param {Object} [options] - options
  * @param {String[]} [options.delimiters] - delimiters
- * @param {Boolean} [options.allowMissing] - don't complain about missing variables
+ * @param {Map} [options.cache] - parsed template cache
+ * @param {Object} [options.resolvers] - resolvers by name, on top of the registered ones
+ * @param {Boolean} [options.allowMissing] - keep the interpolations of missing variables as they are
+ * @param {String[]} [options.secrets] - secret property paths
+ * @param {Array} [options.path] - template path, used when reporting errors
+ * @param {Error[]} [options.errors] - collect errors into this array rather than throwing them
  * @returns {*} interpolated result
  *
  * @example
@@ -82,32 +470,199 @@ const transformValue = (type, value) => {
  * > 'Hello, John Doe!'
  */
 exports.interpolate = (template, data, options = {}) => {
-  const boundedInterpolation = regexes.getBoundedInterpolation(options.delimiters)
-  const templateInterpolation = regexes.getTemplateInterpolation(options.delimiters)
-
-  return _.reduce(template.match(templateInterpolation), (accumulator, match, index, collection) => {
-    const interpolation = regexes.execute(boundedInterpolation, match)
-    const [ property, defaultValue ] = interpolation.property.split('||').map(_.trim)
-    let value = _.get(data, property)
-
-    if (_.isUndefined(value) || _.isNil(value)) {
-      if (_.isUndefined(defaultValue)) {
-        if (options.allowMissing) {
-          return template
-        }
+  let parsed = null
+
+  try {
+    parsed = parseTemplate(template, options)
+  } catch (error) {
+    if (_.isNil(options.errors) || !(error instanceof errors.ObjectTemplateError)) {
+      throw error
+    }
 
-        throw new Error(`Missing variable ${interpolation.property}`)
+    options.errors.push(error)
+    return template
+  }
+
+  // Keep the placeholders, even if they have a default value,
+  // so that their variables can still be provided later on
+  const kept = _.filter(parsed.interpolations, (interpolation) => {
+    return options.allowMissing && isMissing(interpolation, data, options)
+  })
+
+  const values = _.map(parsed.nodes, (node) => {
+    if (node.kind === 'literal') {
+      return node.value
+    }
+
+    if (_.includes(kept, node)) {
+      return keepInterpolation(node, data, options)
+    }
+
+    try {
+      const value = formatInterpolation(node, data, options)
+
+      if (parsed.bounded) {
+        return value
       }
 
-      value = JSON.parse(defaultValue)
+      return transformValue('format', 'string', value, node, options)
+    } catch (error) {
+      if (_.isNil(options.errors) || !(error instanceof errors.ObjectTemplateError)) {
+        throw error
+      }
+
+      options.errors.push(error)
+      return node.raw
+    }
+  })
+
+  // With `allowMissing`, the result is a template string itself, so any
+  // delimiter that is not part of a kept placeholder must be escaped
+  if (parsed.bounded) {
+    const value = _.first(values)
+    return options.allowMissing && _.isEmpty(kept) ? escapeValue(value, options) : value
+  }
+
+  if (!options.allowMissing) {
+    return _.join(values, '')
+  }
+
+  return _.join(_.map(parsed.nodes, (node, index) => {
+    if (_.includes(kept, node)) {
+      return values[index]
     }
 
-    if (collection.length === 1 && match === template) {
-      return transformValue(interpolation.type, value)
+    const escaped = parser.escape(values[index], options)
+    const next = parsed.nodes[index + 1]
+    return _.endsWith(escaped, '\\') && _.includes(kept, next) ? `${escaped}\\` : escaped
+  }), '')
+}
+
+/**
+ * @summary Get the variables referenced by a string
+ * @function
+ * @public
+ *
+ * @description
+ * The fallback paths of an interpolation are reported as variables
+ * of their own, and all the variables of an interpolation with fallbacks
+ * are marked as `optional`, as none of them is required on its own.
+ * Similarly, all the variables of a secret interpolation are `secret`.
+ *
+ * @param {String} template - template
+ * @param {Object} [options] - options
+ * @param {String[]} [options.delimiters] - delimiters
+ * @param {Map} [options.cache] - parsed template cache
+ * @param {String[]} [options.secrets] - secret property paths
+ * @param {Array} [options.path] - template path, used when reporting errors
+ * @param {Error[]} [options.errors] - collect errors into this array rather than throwing them
+ * @returns {Object[]} variables, in order of appearance
+ *
+ * @example
+ * console.log(string.variables('{{number:age || 18}} {{name}}'))
+ * > [
+ * >   { property: 'age', type: 'number', default: 18 },
+ * >   { property: 'name' }
+ * > ]
+ */
+exports.variables = (template, options = {}) => {
+  let parsed = null
+
+  try {
+    parsed = parseTemplate(template, options)
+  } catch (error) {
+    if (_.isNil(options.errors) || !(error instanceof errors.ObjectTemplateError)) {
+      throw error
     }
 
-    return _.replace(accumulator, match, transformValue('string', value))
-  }, template)
+    options.errors.push(error)
+    return []
+  }
+
+  return _.flatMap(parsed.interpolations, (interpolation) => {
+    const defaultValue = interpolation.defaultValue
+
+    return _.map(_.concat(interpolation.path, interpolation.fallbacks || []), (property, index) => {
+      const variable = {
+        property
+      }
+
+      if (!_.isUndefined(interpolation.type)) {
+        variable.type = interpolation.type
+      }
+
+      // Fallbacks are always looked up in the data
+      if (!_.isUndefined(interpolation.resolver) && index === 0) {
+        variable.resolver = interpolation.resolver
+      }
+
+      if (!_.isUndefined(defaultValue)) {
+        variable.default = JSON.parse(defaultValue)
+      }
+
+      if (!_.isEmpty(interpolation.fallbacks)) {
+        variable.optional = true
+      }
+
+      // Any of the variables of a secret interpolation might provide its value
+      if (isSecret(interpolation, options)) {
+        variable.secret = true
+      }
+
+      return variable
+    })
+  })
+}
+
+/**
+ * @summary Check if a string contains interpolations
+ * @function
+ * @public
+ *
+ * @param {String} template - template
+ * @param {Object} [options] - options
+ * @param {String[]} [options.delimiters] - delimiters
+ * @param {Map} [options.cache] - parsed template cache
+ * @returns {Boolean} whether the string contains interpolations
+ *
+ * @example
+ * if (string.hasInterpolations('Hello, {{name}}!')) {
+ *   console.log('This string is a template')
+ * }
+ */
+exports.hasInterpolations = (template, options = {}) => {
+  return !_.isEmpty(parseTemplate(template, options).interpolations)
+}
+
+/**
+ * @summary Check if a string matches a template
+ * @function
+ * @public
+ *
+ * @description
+ * This function only checks the literal portions of the template,
+ * without attempting to cast the interpolated values.
+ *
+ * @param {String} template - template
+ * @param {String} value - interpolated string
+ * @param {Object} [options] - options
+ * @param {String[]} [options.delimiters] - delimiters
+ * @param {Map} [options.cache] - parsed template cache
+ * @returns {Boolean} whether the string matches the template
+ *
+ * @example
+ * if (string.matches('Hello, {{name}}!', 'Hello, John Doe!')) {
+ *   console.log('This is a match!')
+ * }
+ */
+exports.matches = (template, value, options = {}) => {
+  const parsed = parseTemplate(template, options)
+
+  if (parsed.bounded) {
+    return true
+  }
+
+  return parsed.valueRegex.test(value)
 }
 
 /**
@@ -136,6 +691,40 @@ const createSinglePropertyObject = (key, value) => {
   return object
 }
 
+/**
+ * @summary Bind the value of an interpolation
+ * @function
+ * @private
+ *
+ * @description
+ * The values of interpolations with a resolver are not part of
+ * the data, so they are passed to `options.onResolved` instead.
+ *
+ * @param {Object} interpolation - interpolation node
+ * @param {*} value - value
+ * @param {Object} options - options
+ * @param {Function} [options.onResolved] - called with the resolver, key, value and secrecy of resolver interpolations
+ * @returns {Object} template data
+ *
+ * @example
+ * console.log(bindValue({
+ *   path: 'name',
+ *   filters: []
+ * }, 'John Doe', {}))
+ * > { name: 'John Doe' }
+ */
+const bindValue = (interpolation, value, options) => {
+  if (!interpolation.resolver) {
+    return createSinglePropertyObject(interpolation.path, value)
+  }
+
+  if (options.onResolved) {
+    options.onResolved(interpolation.resolver, interpolation.path, value, isSecret(interpolation, options))
+  }
+
+  return {}
+}
+
 /**
  * @summary Deinterpolate a string
  * @function
@@ -144,10 +733,18 @@ const createSinglePropertyObject = (key, value) => {
  * @description
  * The gist of this function is: `(template, string) => data`
  *
+ * The values of interpolations with a resolver, like `{{env:HOSTNAME}}`,
+ * are not part of the data, and are reported through `onResolved`.
+ *
  * @param {String} template - template
  * @param {*} data - interpolated string or data
  * @param {Object} [options] - options
  * @param {String[]} [options.delimiters] - delimiters
+ * @param {Map} [options.cache] - parsed template cache
+ * @param {String[]} [options.secrets] - secret property paths
+ * @param {Array} [options.path] - template path, used when reporting errors
+ * @param {Function} [options.onConflict] - called with a `ConflictError` rather than throwing it
+ * @param {Function} [options.onResolved] - called with the resolver, key, value and secrecy of resolver interpolations
  * @returns {Object} template data
  *
  * @example
@@ -157,52 +754,131 @@ const createSinglePropertyObject = (key, value) => {
  * > }
  */
 exports.deinterpolate = (template, data, options = {}) => {
-  const boundedInterpolation = regexes.getBoundedInterpolation(options.delimiters)
-  if (boundedInterpolation.test(template)) {
-    const interpolation = regexes.execute(boundedInterpolation, template)
-    const [ property, defaultValue ] = interpolation.property.split('||').map(_.trim)
-
-    // If the default value is the same as the data, return the default value
-    if (defaultValue) {
-      const parsedDefaultValue = JSON.parse(defaultValue)
-      if (_.isEqual(parsedDefaultValue, data)) {
-        return {
-          [property]: parsedDefaultValue
-        }
+  const parsed = parseTemplate(template, options)
+
+  if (parsed.bounded) {
+    const interpolation = _.first(parsed.interpolations)
+    const value = runFilters('inverse', interpolation, data, options)
+
+    // If the default value is the same as the data, return the default value,
+    // unless there are fallbacks, as then it can't be attributed to any of them
+    if (interpolation.defaultValue) {
+      const parsedDefaultValue = JSON.parse(interpolation.defaultValue)
+      if (_.isEqual(parsedDefaultValue, value)) {
+        return interpolation.fallbacks ? {} : bindValue(interpolation, parsedDefaultValue, options)
       }
     }
 
-    return createSinglePropertyObject(
-      property,
-      transformValue(interpolation.type, data)
-    )
+    return bindValue(interpolation, transformValue('parse', interpolation.type, value, interpolation, options), options)
   }
 
-  const unboundedInterpolation = regexes.getUnboundedInterpolation(options.delimiters)
-  const templateRegexString = template.replace(unboundedInterpolation, '(.+)')
-  const templateRegex = new RegExp(templateRegexString)
-  const allExpressions = template.match(unboundedInterpolation)
-  const allValues = _.tail(templateRegex.exec(data))
+  const allValues = _.tail(parsed.valueRegex.exec(data))
 
-  return _.reduce(_.zip(allExpressions, allValues), (result, pair) => {
-    const interpolation = regexes.execute(unboundedInterpolation, _.first(pair))
-    const [ property, defaultValue ] = interpolation.property.split('||').map(_.trim)
-    let value = _.last(pair)
+  return _.reduce(_.zip(parsed.interpolations, allValues), (result, pair) => {
+    const interpolation = _.first(pair)
+    const property = interpolation.path
 
-    if (_.isUndefined(value)) {
-      throw new Error(`No match for '${interpolation.property}'`)
+    if (_.isUndefined(_.last(pair))) {
+      throw new errors.NoMatchError(property, options.path)
     }
 
-    // If the default value is the same as the extracted value, parse and use the default value
-    if (defaultValue) {
-      const parsedDefaultValue = JSON.parse(defaultValue)
+    let value = runFilters('inverse', interpolation, _.last(pair), options)
+
+    // If the default value is the same as the extracted value, parse and use the default value,
+    // unless there are fallbacks, as then it can't be attributed to any of them
+    if (interpolation.defaultValue) {
+      const parsedDefaultValue = JSON.parse(interpolation.defaultValue)
       if (_.isEqual(`${parsedDefaultValue}`, value)) {
+        if (interpolation.fallbacks) {
+          return result
+        }
+
         value = parsedDefaultValue
       }
     }
 
-    _.set(result, property, transformValue(interpolation.type, value))
+    const castedValue = transformValue('parse', interpolation.type, value, interpolation, options)
+
+    if (interpolation.resolver) {
+      bindValue(interpolation, castedValue, options)
+      return result
+    }
+
+    if (!_.has(result, property)) {
+      return _.set(result, property, castedValue)
+    }
+
+    const previous = _.get(result, property)
+
+    if (bindings.isEquivalent(previous, castedValue)) {
+      return _.set(result, property, bindings.pickEquivalent(previous, castedValue))
+    }
+
+    // The conflicting value might come from a secret interpolation
+    const secret = _.some(parsed.interpolations, (candidate) => {
+      return !candidate.resolver && candidate.path === property && isSecret(candidate, options)
+    })
 
-    return result
+    const values = secret ? [ errors.REDACTED, errors.REDACTED ] : [ previous, castedValue ]
+
+    const error = new errors.ConflictError(property, [ options.path || [], options.path || [] ], values)
+
+    if (!options.onConflict) {
+      throw error
+    }
+
+    options.onConflict(error)
+    return _.set(result, property, castedValue)
   }, {})
 }
+
+/**
+ * @summary Redact the values of secret interpolations from a string
+ * @function
+ * @public
+ *
+ * @description
+ * The portions of the interpolated string that come from secret
+ * interpolations are replaced with `errors.REDACTED`, keeping the rest
+ * of the string as it is. The whole value is redacted if it doesn't
+ * match the template, as the secret portions can't be told apart then.
+ *
+ * @param {String} template - template
+ * @param {*} value - interpolated string or data
+ * @param {Object} [options] - options
+ * @param {String[]} [options.delimiters] - delimiters
+ * @param {Map} [options.cache] - parsed template cache
+ * @param {String[]} [options.secrets] - secret property paths
+ * @returns {*} redacted value
+ *
+ * @example
+ * console.log(string.redact('{{user}}:{{secret:password}}', 'admin:hunter2'))
+ * > 'admin:[REDACTED]'
+ */
+exports.redact = (template, value, options = {}) => {
+  const parsed = parseTemplate(template, options)
+  const secrets = _.map(parsed.interpolations, (interpolation) => {
+    return isSecret(interpolation, options)
+  })
+
+  if (!_.some(secrets)) {
+    return value
+  }
+
+  const match = !parsed.bounded && _.isString(value) ? parsed.valueRegex.exec(value) : null
+
+  if (!match) {
+    return errors.REDACTED
+  }
+
+  const captures = _.zip(secrets, _.tail(match))
+
+  return _.join(_.map(parsed.nodes, (node) => {
+    if (node.kind === 'literal') {
+      return node.value
+    }
+
+    const [ secret, capture ] = captures.shift()
+    return secret ? errors.REDACTED : capture
+  }), '')
+}
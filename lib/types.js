@@ -0,0 +1,242 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * @summary Registered types
+ * @type {Object}
+ * @private
+ */
+const registry = Object.create(null)
+
+/**
+ * @summary Register a type
+ * @function
+ * @public
+ *
+ * @description
+ * A type definition contains:
+ *
+ * - `format`: a function that casts a data value to the type when compiling
+ * - `parse`: a function that casts an interpolated value back to the type
+ * when decompiling, which usually receives a string
+ * - `pattern` (optional): a regular expression, or its string source, that
+ * matches the formatted value inside a larger string. It must not contain
+ * capturing groups. Defaults to matching any text.
+ * - `schema` (optional): the JSON Schema of the values of the type
+ *
+ * Both functions should throw, or return `NaN`, if the value can't be casted.
+ * The `secret` name is reserved for the modifier of sensitive values.
+ *
+ * @param {String} name - type name
+ * @param {Object} definition - type definition
+ * @param {Function} definition.format - format function
+ * @param {Function} definition.parse - parse function
+ * @param {(RegExp|String)} [definition.pattern] - value pattern
+ * @param {Object} [definition.schema] - JSON Schema
+ *
+ * @example
+ * types.register('hex', {
+ *   format: (value) => {
+ *     return value.toString(16)
+ *   },
+ *   parse: (value) => {
+ *     return parseInt(value, 16)
+ *   },
+ *   pattern: /[0-9a-f]+/
+ * })
+ */
+exports.register = (name, definition) => {
+  if (!/^\w+$/.test(name)) {
+    throw new Error(`Invalid type name: ${name}`)
+  }
+
+  if (name === 'secret') {
+    throw new Error('The secret name is reserved for the secret modifier')
+  }
+
+  if (!_.isFunction(_.get(definition, [ 'format' ])) || !_.isFunction(_.get(definition, [ 'parse' ]))) {
+    throw new Error(`The ${name} type must define format and parse functions`)
+  }
+
+  registry[name] = _.assign({}, definition, {
+    pattern: _.isRegExp(definition.pattern) ? definition.pattern.source : definition.pattern
+  })
+}
+
+/**
+ * @summary Get a type definition
+ * @function
+ * @public
+ *
+ * @param {String} name - type name
+ * @returns {(Object|undefined)} type definition
+ *
+ * @example
+ * const number = types.get('number')
+ * console.log(number.parse('21'))
+ * > 21
+ */
+exports.get = (name) => {
+  return registry[name]
+}
+
+/**
+ * @summary Cast a value to a number
+ * @function
+ * @private
+ *
+ * @param {*} value - value
+ * @returns {Number} number
+ *
+ * @example
+ * console.log(toNumber('21.5'))
+ * > 21.5
+ */
+const toNumber = (value) => {
+  return parseFloat(value)
+}
+
+/**
+ * @summary Cast a value to an integer
+ * @function
+ * @private
+ *
+ * @param {*} value - value
+ * @returns {Number} integer
+ *
+ * @example
+ * console.log(toInteger('21'))
+ * > 21
+ */
+const toInteger = (value) => {
+  const number = _.isString(value) && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value
+
+  if (!_.isInteger(number)) {
+    return NaN
+  }
+
+  return number
+}
+
+/**
+ * @summary Cast a value to a boolean
+ * @function
+ * @private
+ *
+ * @param {*} value - value
+ * @returns {Boolean} boolean
+ *
+ * @example
+ * console.log(toBoolean('true'))
+ * > true
+ */
+const toBoolean = (value) => {
+  if (_.isBoolean(value)) {
+    return value
+  }
+
+  if (_.includes([ 'true', 'false' ], value)) {
+    return value === 'true'
+  }
+
+  throw new Error(`Not a boolean: ${value}`)
+}
+
+/**
+ * @summary Cast a value to an object
+ * @function
+ * @private
+ *
+ * @param {*} value - value
+ * @returns {Object} object
+ *
+ * @example
+ * console.log(toObject('{"foo":"bar"}'))
+ * > { foo: 'bar' }
+ */
+const toObject = (value) => {
+  if (_.isPlainObject(value)) {
+    return value
+  }
+
+  return JSON.parse(value)
+}
+
+/**
+ * @summary Cast a value to a string
+ * @function
+ * @private
+ *
+ * @param {*} value - value
+ * @returns {String} string
+ *
+ * @example
+ * console.log(toString({ foo: 'bar' }))
+ * > '{"foo":"bar"}'
+ */
+const toString = (value) => {
+  if (_.isString(value)) {
+    return value
+  }
+
+  return JSON.stringify(value)
+}
+
+exports.register('number', {
+  format: toNumber,
+  parse: toNumber,
+  schema: {
+    type: 'number'
+  }
+})
+
+exports.register('integer', {
+  format: toInteger,
+  parse: toInteger,
+  pattern: /-?\d+/,
+  schema: {
+    type: 'integer'
+  }
+})
+
+exports.register('boolean', {
+  format: toBoolean,
+  parse: toBoolean,
+  pattern: /true|false/,
+  schema: {
+    type: 'boolean'
+  }
+})
+
+exports.register('object', {
+  format: toObject,
+  parse: toObject,
+  schema: {
+    type: 'object'
+  }
+})
+
+exports.register('string', {
+  format: toString,
+  parse: toString,
+  schema: {
+    type: 'string'
+  }
+})
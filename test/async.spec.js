@@ -0,0 +1,307 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const _ = require('lodash')
+const objectTemplate = require('..')
+
+const delay = (value) => {
+  return new Promise((resolve) => {
+    setTimeout(() => {
+      resolve(value)
+    }, 5)
+  })
+}
+
+const template = {
+  name: '{{device.name}}',
+  port: '{{number:device.port || fleet.port || 80}}',
+  env: {
+    $each: 'variables',
+    $as: 'variable',
+    $item: '{{variable.name}}={{variable.value}}'
+  },
+  proxy: {
+    $if: 'proxy',
+    $then: '{{proxy.host}}:{{proxy.port}}'
+  },
+  url: 'https://{{device.name}}.local'
+}
+
+const data = {
+  device: {
+    name: 'foo'
+  },
+  fleet: {
+    port: 8080
+  },
+  variables: [
+    {
+      name: 'DEBUG',
+      value: 1
+    }
+  ],
+  proxy: {
+    host: 'proxy.local',
+    port: 3128
+  }
+}
+
+const result = {
+  name: 'foo',
+  port: 8080,
+  env: [ 'DEBUG=1' ],
+  proxy: 'proxy.local:3128',
+  url: 'https://foo.local'
+}
+
+ava.test('.compileAsync() should compile a template with a data object', (test) => {
+  return objectTemplate.compileAsync(template, data).then((compiled) => {
+    test.deepEqual(compiled, result)
+  })
+})
+
+ava.test('.compileAsync() should compile a template with a data resolver', (test) => {
+  return objectTemplate.compileAsync(template, (property) => {
+    return delay(_.get(data, property))
+  }).then((compiled) => {
+    test.deepEqual(compiled, result)
+  })
+})
+
+ava.test('.compileAsync() should resolve every property only once', (test) => {
+  const properties = []
+
+  return objectTemplate.compileAsync(template, (property) => {
+    properties.push(property)
+    return _.get(data, property)
+  }).then(() => {
+    test.deepEqual(_.sortBy(properties), [
+      'device.name',
+      'device.port',
+      'fleet.port',
+      'proxy',
+      'proxy.host',
+      'proxy.port',
+      'variables'
+    ])
+  })
+})
+
+ava.test('.compileAsync() should resolve properties in parallel', (test) => {
+  let pending = 0
+  let maximum = 0
+
+  return objectTemplate.compileAsync(template, (property) => {
+    pending += 1
+    maximum = Math.max(maximum, pending)
+
+    return delay(_.get(data, property)).then((value) => {
+      pending -= 1
+      return value
+    })
+  }).then(() => {
+    test.is(maximum, 7)
+  })
+})
+
+ava.test('.compileAsync() should await asynchronous resolvers', (test) => {
+  const keys = []
+
+  return objectTemplate.compileAsync({
+    password: '{{vault:wifi/password}}',
+    confirmation: '{{vault:wifi/password}}',
+    ssid: '{{ssid}}'
+  }, {
+    ssid: 'home'
+  }, {
+    resolvers: {
+      vault: (key) => {
+        keys.push(key)
+        return delay(`<${key}>`)
+      }
+    }
+  }).then((compiled) => {
+    test.deepEqual(keys, [ 'wifi/password' ])
+    test.deepEqual(compiled, {
+      password: '<wifi/password>',
+      confirmation: '<wifi/password>',
+      ssid: 'home'
+    })
+  })
+})
+
+ava.test('.compile() should throw an AsyncResolverError if a resolver returns a promise', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      password: '{{vault:wifi/password}}'
+    }, {}, {
+      resolvers: {
+        vault: (key) => {
+          return delay(`<${key}>`)
+        }
+      }
+    })
+  }, objectTemplate.errors.AsyncResolverError)
+
+  test.is(error.code, 'EASYNCRESOLVER')
+  test.is(error.resolver, 'vault')
+  test.is(error.variable, 'wifi/password')
+  test.deepEqual(error.path, [ 'password' ])
+  test.is(error.message, 'The vault resolver returned a promise, which is only supported by .compileAsync()')
+})
+
+ava.test('.compile() should handle the rejections of the promises of resolvers', (test) => {
+  test.throws(() => {
+    objectTemplate.compile({
+      password: '{{vault:wifi/password}}'
+    }, {}, {
+      resolvers: {
+        vault: () => {
+          return Promise.reject(new Error('The vault is sealed'))
+        }
+      }
+    })
+  }, objectTemplate.errors.AsyncResolverError)
+
+  // Unhandled rejections would fail the test run by now
+  return delay(null)
+})
+
+ava.test('.validate() should report resolvers that return promises', (test) => {
+  const errors = objectTemplate.validate({
+    password: '{{vault:wifi/password}}',
+    ssid: '{{ssid}}'
+  }, {}, {
+    allowMissing: true,
+    resolvers: {
+      vault: (key) => {
+        return delay(`<${key}>`)
+      }
+    }
+  })
+
+  test.deepEqual(_.map(errors, 'code'), [ 'EASYNCRESOLVER' ])
+})
+
+ava.test('.compileAsync() should reject with the errors of .compile()', (test) => {
+  return test.throws(objectTemplate.compileAsync(template, (property) => {
+    return delay(property === 'device.name' ? null : _.get(data, property))
+  }), objectTemplate.errors.MissingVariableError).then((error) => {
+    test.is(error.variable, 'device.name')
+  })
+})
+
+ava.test('.compileAsync() should reject with syntax errors', (test) => {
+  return test.throws(objectTemplate.compileAsync({
+    name: '{{name'
+  }, {}), objectTemplate.errors.TemplateSyntaxError)
+})
+
+ava.test('.compileAsync() should reject with a ValidationError of syntax errors if collecting errors', (test) => {
+  return test.throws(objectTemplate.compileAsync({
+    name: '{{name',
+    network: {
+      $include: 'foo'
+    },
+    ssid: '{{ssid}}'
+  }, {}, {
+    collectErrors: true
+  }), objectTemplate.errors.ValidationError).then((error) => {
+    test.deepEqual(_.map(error.errors, 'code'), [ 'ESYNTAX', 'EUNKNOWNTEMPLATE', 'EMISSINGVARIABLE' ])
+  })
+})
+
+ava.test('.compileAsync() should reject with the errors of the data resolver', (test) => {
+  return test.throws(objectTemplate.compileAsync(template, () => {
+    return Promise.reject(new Error('The store is not available'))
+  }), 'The store is not available')
+})
+
+ava.test('.compileAsync() should apply the defaults of missing asynchronous resolver keys', (test) => {
+  let calls = 0
+
+  return objectTemplate.compileAsync({
+    greeting: '{{vault:key || "default"}}'
+  }, {}, {
+    resolvers: {
+      vault: () => {
+        calls += 1
+        return delay(null).then(_.noop)
+      }
+    }
+  }).then((compiled) => {
+    test.is(calls, 1)
+    test.deepEqual(compiled, {
+      greeting: 'default'
+    })
+  })
+})
+
+ava.test('.compileAsync() should not call registered resolvers again for missing keys', (test) => {
+  objectTemplate.registerResolver('store', () => {
+    return delay(null).then(_.noop)
+  })
+
+  return objectTemplate.compileAsync({
+    greeting: '{{store:key || "default"}}'
+  }, {}).then((compiled) => {
+    test.deepEqual(compiled, {
+      greeting: 'default'
+    })
+  })
+})
+
+ava.test('.compileAsync() should keep the placeholders of missing asynchronous resolver keys', (test) => {
+  return objectTemplate.compileAsync({
+    greeting: '{{vault:key}}'
+  }, {}, {
+    allowMissing: true,
+    resolvers: {
+      vault: () => {
+        return delay(null).then(_.noop)
+      }
+    }
+  }).then((compiled) => {
+    test.deepEqual(compiled, {
+      greeting: '{{vault:key}}'
+    })
+  })
+})
+
+ava.test('.compileAsync() should partially evaluate a template', (test) => {
+  return objectTemplate.compileAsync({
+    name: '{{device.name}}-{{device.id}}'
+  }, (property) => {
+    return delay(property === 'device.name' ? 'foo' : null)
+  }, {
+    allowMissing: true
+  }).then((compiled) => {
+    test.deepEqual(compiled, {
+      name: 'foo-{{device.id}}'
+    })
+  })
+})
+
+ava.test('.prepare() should expose an asynchronous compile function', (test) => {
+  return objectTemplate.prepare(template).compileAsync((property) => {
+    return delay(_.get(data, property))
+  }).then((compiled) => {
+    test.deepEqual(compiled, result)
+  })
+})
@@ -164,3 +164,471 @@ testBidirectionalCompilation('object with arrays of objects', {
     }
   ]
 })
+
+testBidirectionalCompilation('a templated top-level key', {
+  '{{name}}': {
+    enabled: true
+  }
+}, {
+  name: 'foo'
+}, {
+  foo: {
+    enabled: true
+  }
+})
+
+testBidirectionalCompilation('a dependent templated key along with literal keys', {
+  name: '{{name}}',
+  'device-{{uuid}}': {
+    status: '{{status}}'
+  }
+}, {
+  name: 'John Doe',
+  uuid: 'abc123',
+  status: 'idle'
+}, {
+  name: 'John Doe',
+  'device-abc123': {
+    status: 'idle'
+  }
+})
+
+testBidirectionalCompilation('multiple templated keys', {
+  services: {
+    'main-{{main.name}}': '{{main.image}}',
+    'sidecar-{{sidecar.name}}': '{{sidecar.image}}'
+  }
+}, {
+  main: {
+    name: 'api',
+    image: 'balena/api'
+  },
+  sidecar: {
+    name: 'proxy',
+    image: 'balena/proxy'
+  }
+}, {
+  services: {
+    'main-api': 'balena/api',
+    'sidecar-proxy': 'balena/proxy'
+  }
+})
+
+testBidirectionalCompilation('an iteration section of objects', {
+  networks: {
+    $each: 'interfaces',
+    $as: 'interface',
+    $item: {
+      name: '{{interface.name}}',
+      address: '{{interface.address}}/{{interface.prefix}}'
+    }
+  }
+}, {
+  interfaces: [
+    {
+      name: 'eth0',
+      address: '10.0.0.2',
+      prefix: '24'
+    },
+    {
+      name: 'wlan0',
+      address: '192.168.1.10',
+      prefix: '16'
+    }
+  ]
+}, {
+  networks: [
+    {
+      name: 'eth0',
+      address: '10.0.0.2/24'
+    },
+    {
+      name: 'wlan0',
+      address: '192.168.1.10/16'
+    }
+  ]
+})
+
+testBidirectionalCompilation('an iteration section of strings with the default alias', {
+  hosts: {
+    $each: 'servers',
+    $item: '{{item}}.example.com'
+  }
+}, {
+  servers: [ 'foo', 'bar', 'baz' ]
+}, {
+  hosts: [ 'foo.example.com', 'bar.example.com', 'baz.example.com' ]
+})
+
+testBidirectionalCompilation('an empty iteration section', {
+  hosts: {
+    $each: 'servers',
+    $item: '{{item}}'
+  }
+}, {
+  servers: []
+}, {
+  hosts: []
+})
+
+testBidirectionalCompilation('an iteration section that references outer variables', {
+  mounts: {
+    $each: 'volumes',
+    $as: 'volume',
+    $item: '{{root}}/{{volume}}'
+  }
+}, {
+  root: '/mnt',
+  volumes: [ 'data', 'logs' ]
+}, {
+  mounts: [ '/mnt/data', '/mnt/logs' ]
+})
+
+testBidirectionalCompilation('a nested iteration source path', {
+  $each: 'device.ports',
+  $as: 'port',
+  $item: {
+    port: '{{number:port}}'
+  }
+}, {
+  device: {
+    ports: [ 80, 443 ]
+  }
+}, [
+  {
+    port: 80
+  },
+  {
+    port: 443
+  }
+])
+
+ava.test('.compile() should throw if a templated key overwrites another key', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      '{{name}}': 1,
+      foo: 2
+    }, {
+      name: 'foo'
+    })
+  }, objectTemplate.errors.DuplicateKeyError)
+
+  test.is(error.code, 'EDUPLICATEKEY')
+  test.is(error.key, 'foo')
+  test.deepEqual(error.path, [ 'foo' ])
+})
+
+ava.test('.compile() should redact duplicate keys that come from secrets', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      '{{secret:key}}': 1,
+      hunter: 2
+    }, {
+      key: 'hunter'
+    })
+  }, objectTemplate.errors.DuplicateKeyError)
+
+  test.is(error.key, objectTemplate.errors.REDACTED)
+  test.is(error.message, 'Duplicate key [REDACTED]')
+})
+
+ava.test('.compile() should redact duplicate keys that come from secret paths', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      hunter: 1,
+      '{{wifi.password}}': 2
+    }, {
+      wifi: {
+        password: 'hunter'
+      }
+    }, {
+      secrets: [ 'wifi' ]
+    })
+  }, objectTemplate.errors.DuplicateKeyError)
+
+  test.is(error.key, objectTemplate.errors.REDACTED)
+})
+
+ava.test('.compile() should collect duplicate key errors', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      '{{first}}': 1,
+      '{{second}}': 2
+    }, {
+      first: 'foo',
+      second: 'foo'
+    }, {
+      collectErrors: true
+    })
+  }, objectTemplate.errors.ValidationError)
+
+  test.is(error.errors.length, 1)
+  test.is(error.errors[0].code, 'EDUPLICATEKEY')
+})
+
+ava.test('.decompile() should not depend on the order of the result keys', (test) => {
+  const template = {
+    '{{name}}': '{{number:value}}',
+    'dev-{{id}}': '{{number:device}}'
+  }
+
+  const expected = {
+    name: 'foo',
+    value: 2,
+    id: '1',
+    device: 1
+  }
+
+  test.deepEqual(objectTemplate.decompile(template, {
+    foo: 2,
+    'dev-1': 1
+  }), expected)
+
+  test.deepEqual(objectTemplate.decompile(template, {
+    'dev-1': 1,
+    foo: 2
+  }), expected)
+
+  test.true(objectTemplate.matches(template, {
+    'dev-1': 1,
+    foo: 2
+  }))
+})
+
+ava.test('.compile() should throw if an iteration source is missing', (test) => {
+  test.throws(() => {
+    objectTemplate.compile({
+      hosts: {
+        $each: 'servers',
+        $item: '{{item}}'
+      }
+    }, {})
+  }, 'Missing variable servers')
+})
+
+ava.test('.compile() should throw if an iteration source is not an array', (test) => {
+  test.throws(() => {
+    objectTemplate.compile({
+      hosts: {
+        $each: 'servers',
+        $item: '{{item}}'
+      }
+    }, {
+      servers: 'foo'
+    })
+  }, 'Can\'t iterate over servers')
+})
+
+testBidirectionalCompilation('a conditional section with a truthy flag', {
+  name: '{{name}}',
+  proxy: {
+    $if: 'proxyEnabled',
+    $then: {
+      host: '{{proxyHost}}'
+    }
+  }
+}, {
+  name: 'John Doe',
+  proxyEnabled: true,
+  proxyHost: 'proxy.example.com'
+}, {
+  name: 'John Doe',
+  proxy: {
+    host: 'proxy.example.com'
+  }
+})
+
+testBidirectionalCompilation('a conditional section with a falsy flag', {
+  name: '{{name}}',
+  proxy: {
+    $if: 'proxyEnabled',
+    $then: {
+      host: '{{proxyHost}}'
+    }
+  }
+}, {
+  name: 'John Doe',
+  proxyEnabled: false
+}, {
+  name: 'John Doe'
+})
+
+testBidirectionalCompilation('a conditional section on the presence of an object', {
+  proxy: {
+    $if: 'proxy',
+    $then: '{{proxy.host}}:{{proxy.port}}'
+  }
+}, {
+  proxy: {
+    host: 'proxy.example.com',
+    port: '8080'
+  }
+}, {
+  proxy: 'proxy.example.com:8080'
+})
+
+testBidirectionalCompilation('present conditional array elements', {
+  args: [
+    '--name={{name}}',
+    {
+      $if: 'debug',
+      $then: '--verbose'
+    },
+    '--port={{port}}'
+  ]
+}, {
+  name: 'foo',
+  debug: true,
+  port: '80'
+}, {
+  args: [
+    '--name=foo',
+    '--verbose',
+    '--port=80'
+  ]
+})
+
+testBidirectionalCompilation('absent conditional array elements', {
+  args: [
+    '--name={{name}}',
+    {
+      $if: 'debug',
+      $then: '--verbose'
+    },
+    '--port={{port}}'
+  ]
+}, {
+  name: 'foo',
+  debug: false,
+  port: '80'
+}, {
+  args: [
+    '--name=foo',
+    '--port=80'
+  ]
+})
+
+ava.test('.compile() should omit a conditional section if the flag is missing', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    foo: 'bar',
+    proxy: {
+      $if: 'proxy',
+      $then: '{{proxy.host}}'
+    }
+  }, {}), {
+    foo: 'bar'
+  })
+})
+
+ava.test('.compile() should omit the items of conditional iteration sections', (test) => {
+  const template = {
+    list: {
+      $each: 'xs',
+      $item: {
+        $if: 'item.on',
+        $then: '{{item.name}}'
+      }
+    }
+  }
+
+  const result = objectTemplate.compile(template, {
+    xs: [
+      {
+        on: true,
+        name: 'a'
+      },
+      {
+        on: false,
+        name: 'b'
+      }
+    ]
+  })
+
+  test.deepEqual(result, {
+    list: [ 'a' ]
+  })
+
+  const data = objectTemplate.decompile(template, result)
+
+  test.deepEqual(data, {
+    xs: [
+      {
+        on: true,
+        name: 'a'
+      }
+    ]
+  })
+
+  test.deepEqual(objectTemplate.compile(template, data), result)
+})
+
+ava.test('.decompile() should align adjacent conditional array elements with the ones they match', (test) => {
+  const template = {
+    list: [
+      {
+        $if: 'first',
+        $then: 'a={{alpha}}'
+      },
+      {
+        $if: 'second',
+        $then: 'b={{beta}}'
+      }
+    ]
+  }
+
+  const result = objectTemplate.compile(template, {
+    second: true,
+    beta: 2
+  })
+
+  test.deepEqual(result, {
+    list: [ 'b=2' ]
+  })
+
+  test.true(objectTemplate.matches(template, result))
+
+  const data = objectTemplate.decompile(template, result)
+
+  test.deepEqual(data, {
+    first: false,
+    second: true,
+    beta: '2'
+  })
+
+  test.deepEqual(objectTemplate.compile(template, data), result)
+})
+
+ava.test('.decompile() should align adjacent conditional array objects with the ones they match', (test) => {
+  const template = {
+    list: [
+      {
+        $if: 'first',
+        $then: {
+          alpha: '{{alpha}}'
+        }
+      },
+      {
+        $if: 'second',
+        $then: {
+          beta: '{{beta}}'
+        }
+      }
+    ]
+  }
+
+  const result = {
+    list: [
+      {
+        beta: 2
+      }
+    ]
+  }
+
+  test.deepEqual(objectTemplate.decompile(template, result), {
+    first: false,
+    second: true,
+    beta: 2
+  })
+
+  test.deepEqual(objectTemplate.explain(template, result), [])
+})
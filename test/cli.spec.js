@@ -0,0 +1,350 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const childProcess = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const cli = require('../lib/cli')
+
+const BIN = path.join(__dirname, '..', 'bin', 'object-template')
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'object-template-'))
+
+const writeJSON = (name, value) => {
+  const file = path.join(directory, name)
+  fs.writeFileSync(file, JSON.stringify(value))
+  return file
+}
+
+const run = (args, input) => {
+  const child = childProcess.spawnSync(process.execPath, [ BIN ].concat(args), {
+    input: input || ''
+  })
+
+  return {
+    code: child.status,
+    stdout: child.stdout.toString(),
+    stderr: child.stderr.toString()
+  }
+}
+
+const template = writeJSON('template.json', {
+  greeting: 'Hello, {{name}}!',
+  age: '{{number:age}}'
+})
+
+const customTemplate = writeJSON('custom.json', {
+  greeting: 'Hello, <%name%>!'
+})
+
+const writeText = (name, text) => {
+  const file = path.join(directory, name)
+  fs.writeFileSync(file, text)
+  return file
+}
+
+const yamlTemplate = writeText('template.yaml', [
+  'name: \'{{name}}\'',
+  'age: \'{{number:age}}\'',
+  'greeting: Hello, {{name}}!',
+  ''
+].join('\n'))
+
+const data = writeJSON('data.json', {
+  name: 'John Doe',
+  age: 21
+})
+
+const result = {
+  greeting: 'Hello, John Doe!',
+  age: 21
+}
+
+ava.test('compile should compile a template with data files', (test) => {
+  const output = run([ 'compile', template, data ])
+  test.is(output.code, 0)
+  test.deepEqual(JSON.parse(output.stdout), result)
+})
+
+ava.test('compile should read the data from stdin if the file is missing', (test) => {
+  const output = run([ 'compile', template ], JSON.stringify({
+    name: 'Jane Doe',
+    age: 22
+  }))
+
+  test.is(output.code, 0)
+  test.deepEqual(JSON.parse(output.stdout), {
+    greeting: 'Hello, Jane Doe!',
+    age: 22
+  })
+})
+
+ava.test('compile should read the template from stdin if the file is -', (test) => {
+  const output = run([ 'compile', '-', data ], JSON.stringify({
+    name: '{{name}}'
+  }))
+
+  test.is(output.code, 0)
+  test.deepEqual(JSON.parse(output.stdout), {
+    name: 'John Doe'
+  })
+})
+
+ava.test('compile should accept custom delimiters', (test) => {
+  const output = run([ 'compile', '--delimiters', '<%,%>', customTemplate, data ])
+  test.is(output.code, 0)
+  test.deepEqual(JSON.parse(output.stdout), {
+    greeting: 'Hello, John Doe!'
+  })
+})
+
+ava.test('compile should keep missing variables with --allow-missing', (test) => {
+  const output = run([ 'compile', template, '--allow-missing' ], JSON.stringify({
+    name: 'John Doe'
+  }))
+
+  test.is(output.code, 0)
+  test.deepEqual(JSON.parse(output.stdout), {
+    greeting: 'Hello, John Doe!',
+    age: '{{number:age}}'
+  })
+})
+
+ava.test('compile should exit with a readable error if a variable is missing', (test) => {
+  const output = run([ 'compile', template ], '{}')
+  test.is(output.code, 2)
+  test.is(output.stdout, '')
+  test.is(output.stderr, 'object-template: Missing variable name (at greeting)\n')
+})
+
+ava.test('decompile should decompile a result', (test) => {
+  const output = run([ 'decompile', template ], JSON.stringify(result))
+  test.is(output.code, 0)
+  test.deepEqual(JSON.parse(output.stdout), {
+    name: 'John Doe',
+    age: 21
+  })
+})
+
+ava.test('decompile should report conflicts', (test) => {
+  const output = run([ 'decompile', writeJSON('conflict.json', {
+    foo: '{{name}}',
+    bar: '{{name}}'
+  }) ], JSON.stringify({
+    foo: 'John',
+    bar: 'Jane'
+  }))
+
+  test.is(output.code, 2)
+  test.is(output.stderr, 'object-template: Conflicting values for name: "John" at foo and "Jane" at bar\n')
+})
+
+ava.test('matches should exit with 0 if the object matches', (test) => {
+  const output = run([ 'matches', template ], JSON.stringify(result))
+  test.is(output.code, 0)
+  test.is(output.stdout, 'true\n')
+})
+
+ava.test('matches should exit with 1 if the object does not match', (test) => {
+  const output = run([ 'matches', template ], JSON.stringify({
+    greeting: 'Hi, John Doe!',
+    age: 21
+  }))
+
+  test.is(output.code, 1)
+  test.is(output.stdout, 'false\n')
+})
+
+ava.test('variables should list the variables of a template', (test) => {
+  const output = run([ 'variables', template ])
+  test.is(output.code, 0)
+  test.deepEqual(JSON.parse(output.stdout), [
+    {
+      property: 'name',
+      paths: [ [ 'greeting' ] ],
+      conditional: false
+    },
+    {
+      property: 'age',
+      type: 'number',
+      paths: [ [ 'age' ] ],
+      conditional: false
+    }
+  ])
+})
+
+ava.test('--help should print the usage instructions', (test) => {
+  const output = run([ '--help' ])
+  test.is(output.code, 0)
+  test.is(output.stdout, `${cli.USAGE}\n`)
+})
+
+ava.test('should exit with an error if the command is unknown', (test) => {
+  const output = run([ 'foo', template ])
+  test.is(output.code, 2)
+  test.is(output.stderr, 'object-template: Unknown command: foo\n')
+})
+
+ava.test('should not take inherited object properties as commands', (test) => {
+  const output = run([ 'constructor', template ])
+  test.is(output.code, 2)
+  test.is(output.stderr, 'object-template: Unknown command: constructor\n')
+})
+
+ava.test('should exit with an error if the command is missing', (test) => {
+  const output = run([])
+  test.is(output.code, 2)
+  test.is(output.stderr, 'object-template: Missing command\n')
+})
+
+ava.test('should exit with an error if a file does not exist', (test) => {
+  const output = run([ 'compile', path.join(directory, 'foo.json'), data ])
+  test.is(output.code, 2)
+  test.regex(output.stderr, /^object-template: Can't read .*foo\.json: ENOENT/)
+})
+
+ava.test('should exit with an error if a file is not valid JSON', (test) => {
+  const output = run([ 'compile', template ], '{')
+  test.is(output.code, 2)
+  test.regex(output.stderr, /^object-template: Invalid JSON in stdin: /)
+})
+
+ava.test('should exit with an error if more than one file is read from stdin', (test) => {
+  const output = run([ 'compile', '-', '-' ])
+  test.is(output.code, 2)
+  test.is(output.stderr, 'object-template: Only one file can be read from stdin\n')
+})
+
+ava.test('should exit with an error if there are too many files', (test) => {
+  const output = run([ 'variables', template, data ])
+  test.is(output.code, 2)
+  test.is(output.stderr, 'object-template: Too many arguments for variables\n')
+})
+
+ava.test('compile should write the result in the format of the template', (test) => {
+  const output = run([ 'compile', yamlTemplate, data ])
+  test.is(output.code, 0)
+  test.is(output.stdout, [
+    'name: John Doe',
+    'age: 21',
+    'greeting: \'Hello, John Doe!\'',
+    ''
+  ].join('\n'))
+})
+
+ava.test('decompile should read results in the format of their extension', (test) => {
+  const output = run([ 'decompile', yamlTemplate, writeText('result.json5', [
+    '{',
+    '  // Generated',
+    '  name: \'John Doe\',',
+    '  age: 21,',
+    '  greeting: \'Hello, John Doe!\',',
+    '}'
+  ].join('\n')) ])
+
+  test.is(output.code, 0)
+  test.is(output.stdout, [
+    'name: John Doe',
+    'age: 21',
+    ''
+  ].join('\n'))
+})
+
+ava.test('decompile should write undefined iteration items as YAML', (test) => {
+  const output = run([ 'decompile', writeText('iteration.yaml', [
+    'n:',
+    '  $each: ifs',
+    '  $item: x',
+    ''
+  ].join('\n')), writeText('iteration-result.yaml', [
+    'n: [ x, x ]',
+    ''
+  ].join('\n')) ])
+
+  test.is(output.code, 0)
+  test.is(output.stdout, [
+    'ifs:',
+    '  - null',
+    '  - null',
+    ''
+  ].join('\n'))
+})
+
+ava.test('--format should set the format of stdin and of the output', (test) => {
+  const output = run([ 'compile', '--format', 'json5', template ], '{ name: "John Doe", age: 21 }')
+  test.is(output.code, 0)
+  test.is(output.stdout, [
+    '{',
+    '  greeting: \'Hello, John Doe!\',',
+    '  age: 21,',
+    '}',
+    ''
+  ].join('\n'))
+})
+
+ava.test('should exit with an error if a file is not valid YAML', (test) => {
+  const output = run([ 'variables', writeText('invalid.yml', 'foo: [') ])
+  test.is(output.code, 2)
+  test.regex(output.stderr, /^object-template: Invalid YAML in .*invalid\.yml: /)
+})
+
+ava.test('.parseArguments() should throw if the format is unknown', (test) => {
+  test.throws(() => {
+    cli.parseArguments([ 'compile', '--format=xml' ])
+  }, 'Unknown format: xml')
+})
+
+ava.test('.parseArguments() should parse options anywhere', (test) => {
+  test.deepEqual(cli.parseArguments([ '--allow-missing', 'compile', 'template.json', '--delimiters=<%,%>', '-' ]), {
+    command: 'compile',
+    files: [ 'template.json', '-' ],
+    options: {
+      allowMissing: true,
+      delimiters: [ '<%', '%>' ]
+    },
+    format: null,
+    help: false
+  })
+})
+
+ava.test('.parseArguments() should throw if an option is unknown', (test) => {
+  test.throws(() => {
+    cli.parseArguments([ 'compile', '--foo' ])
+  }, 'Unknown option: --foo')
+})
+
+ava.test('.parseArguments() should throw if the delimiters are invalid', (test) => {
+  test.throws(() => {
+    cli.parseArguments([ 'compile', '--delimiters', '<%' ])
+  }, 'Invalid delimiters: <%')
+})
+
+ava.test('.parseArguments() should throw if the delimiters are missing', (test) => {
+  test.throws(() => {
+    cli.parseArguments([ 'compile', '--delimiters' ])
+  }, 'Missing value for --delimiters')
+})
+
+ava.after.always(() => {
+  for (const file of fs.readdirSync(directory)) {
+    fs.unlinkSync(path.join(directory, file))
+  }
+
+  fs.rmdirSync(directory)
+})
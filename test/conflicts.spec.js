@@ -0,0 +1,200 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const _ = require('lodash')
+const objectTemplate = require('..')
+
+ava.test('.decompile() should accept consistent values for the same variable', (test) => {
+  test.deepEqual(objectTemplate.decompile({
+    name: '{{name}}',
+    greeting: 'Hello, {{name}}!'
+  }, {
+    name: 'John Doe',
+    greeting: 'Hello, John Doe!'
+  }), {
+    name: 'John Doe'
+  })
+})
+
+ava.test('.decompile() should accept the same value interpolated with different types', (test) => {
+  const template = {
+    port: '{{number:port}}',
+    url: 'http://host:{{port}}/'
+  }
+
+  const result = objectTemplate.compile(template, {
+    port: 8080
+  })
+
+  test.deepEqual(objectTemplate.decompile(template, result), {
+    port: 8080
+  })
+
+  test.deepEqual(objectTemplate.decompile({
+    url: 'http://host:{{port}}/',
+    port: '{{number:port}}'
+  }, result), {
+    port: 8080
+  })
+
+  test.deepEqual(objectTemplate.explain(template, result), [])
+})
+
+ava.test('.decompile() should accept the same value interpolated with different types in the same string', (test) => {
+  test.deepEqual(objectTemplate.decompile({
+    address: '{{host}}:{{port}}/{{number:port}}'
+  }, {
+    address: 'localhost:8080/8080'
+  }), {
+    host: 'localhost',
+    port: 8080
+  })
+})
+
+ava.test('.decompile() should throw if a variable has different values', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      name: '{{name}}',
+      profile: {
+        greeting: 'Hello, {{name}}!'
+      }
+    }, {
+      name: 'John Doe',
+      profile: {
+        greeting: 'Hello, Jane Doe!'
+      }
+    })
+  }, objectTemplate.errors.ConflictError)
+
+  test.is(error.code, 'ECONFLICT')
+  test.is(error.variable, 'name')
+  test.deepEqual(error.paths, [ [ 'name' ], [ 'profile', 'greeting' ] ])
+  test.deepEqual(error.values, [ 'John Doe', 'Jane Doe' ])
+  test.is(error.message, 'Conflicting values for name: "John Doe" at name and "Jane Doe" at profile.greeting')
+})
+
+ava.test('.decompile() should throw if a variable has different values in the same string', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      command: 'cp {{file}} {{file}}.bak'
+    }, {
+      command: 'cp foo bar.bak'
+    })
+  }, objectTemplate.errors.ConflictError)
+
+  test.deepEqual(error.paths, [ [ 'command' ], [ 'command' ] ])
+  test.deepEqual(error.values, [ 'foo', 'bar' ])
+})
+
+ava.test('.decompile() should detect conflicts between objects and their properties', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      person: '{{person}}',
+      name: '{{person.name}}'
+    }, {
+      person: {
+        name: 'John Doe'
+      },
+      name: 'Jane Doe'
+    })
+  }, objectTemplate.errors.ConflictError)
+
+  test.is(error.variable, 'person.name')
+  test.deepEqual(error.paths, [ [ 'person' ], [ 'name' ] ])
+})
+
+ava.test('.decompile() should detect conflicts between properties and the values they are nested in', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      name: '{{person.name}}',
+      person: '{{person}}'
+    }, {
+      name: 'John Doe',
+      person: 'Jane Doe'
+    })
+  }, objectTemplate.errors.ConflictError)
+
+  test.is(error.variable, 'person')
+  test.deepEqual(error.paths, [ [ 'name' ], [ 'person' ] ])
+})
+
+ava.test('.decompile() should detect conflicts after many consistent iteration items', (test) => {
+  const hosts = _.times(1000, _.constant('foo:80'))
+
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      hosts: {
+        $each: 'servers',
+        $item: '{{item}}:{{port}}'
+      }
+    }, {
+      hosts: _.concat(hosts, 'foo:8080')
+    })
+  }, objectTemplate.errors.ConflictError)
+
+  test.deepEqual(error.values, [ '80', '8080' ])
+  test.deepEqual(error.paths, [ [ 'hosts', 999 ], [ 'hosts', 1000 ] ])
+})
+
+ava.test('.decompile() should detect conflicts in iteration items', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      hosts: {
+        $each: 'servers',
+        $item: '{{item}}:{{port}}'
+      }
+    }, {
+      hosts: [ 'foo:80', 'bar:8080' ]
+    })
+  }, objectTemplate.errors.ConflictError)
+
+  test.is(error.variable, 'port')
+  test.deepEqual(error.values, [ '80', '8080' ])
+})
+
+ava.test('.decompile() should report conflicts to onConflict and keep the last value', (test) => {
+  const conflicts = []
+
+  test.deepEqual(objectTemplate.decompile({
+    name: '{{name}}',
+    greeting: 'Hello, {{name}}!'
+  }, {
+    name: 'John Doe',
+    greeting: 'Hello, Jane Doe!'
+  }, {
+    onConflict: (error) => {
+      conflicts.push(error)
+    }
+  }), {
+    name: 'Jane Doe'
+  })
+
+  test.is(conflicts.length, 1)
+  test.deepEqual(conflicts[0].paths, [ [ 'name' ], [ 'greeting' ] ])
+})
+
+ava.test('.matches() should return false if a variable has different values', (test) => {
+  test.false(objectTemplate.matches({
+    name: '{{name}}',
+    greeting: 'Hello, {{name}}!'
+  }, {
+    name: 'John Doe',
+    greeting: 'Hello, Jane Doe!'
+  }))
+})
@@ -0,0 +1,175 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+ava.test('.compile() should throw a MissingVariableError with the template path', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      profile: {
+        greeting: 'Hello, {{name}}!'
+      }
+    }, {})
+  }, objectTemplate.errors.MissingVariableError)
+
+  test.is(error.code, 'EMISSINGVARIABLE')
+  test.is(error.variable, 'name')
+  test.deepEqual(error.path, [ 'profile', 'greeting' ])
+  test.is(error.message, 'Missing variable name')
+})
+
+ava.test('.compile() should report the array index in the template path', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      args: [ '--foo', '--bar={{bar}}' ]
+    }, {})
+  }, objectTemplate.errors.MissingVariableError)
+
+  test.deepEqual(error.path, [ 'args', 1 ])
+})
+
+ava.test('.compile() should report the item template in the template path', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      hosts: {
+        $each: 'servers',
+        $item: {
+          host: '{{item.host}}'
+        }
+      }
+    }, {
+      servers: [ {} ]
+    })
+  }, objectTemplate.errors.MissingVariableError)
+
+  test.deepEqual(error.path, [ 'hosts', '$item', 'host' ])
+})
+
+ava.test('.compile() should throw an InvalidIterationError', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      hosts: {
+        $each: 'servers',
+        $item: '{{item}}'
+      }
+    }, {
+      servers: 'foo'
+    })
+  }, objectTemplate.errors.InvalidIterationError)
+
+  test.is(error.code, 'EINVALIDITERATION')
+  test.is(error.variable, 'servers')
+  test.deepEqual(error.path, [ 'hosts' ])
+})
+
+ava.test('.compile() should throw an InvalidDefaultError', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      name: '{{name || \'Jane\'}}'
+    }, {})
+  }, objectTemplate.errors.InvalidDefaultError)
+
+  test.is(error.code, 'EINVALIDDEFAULT')
+  test.is(error.variable, 'name')
+  test.is(error.defaultValue, '\'Jane\'')
+  test.deepEqual(error.path, [ 'name' ])
+})
+
+ava.test('.compile() should throw a TypeCastError', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      age: '{{number:age}}'
+    }, {
+      age: 'foo'
+    })
+  }, objectTemplate.errors.TypeCastError)
+
+  test.is(error.code, 'ETYPECAST')
+  test.is(error.variable, 'age')
+  test.is(error.type, 'number')
+  test.is(error.value, 'foo')
+  test.deepEqual(error.path, [ 'age' ])
+})
+
+ava.test('.decompile() should throw a NoMatchError', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      greeting: 'Hello, {{name}}!'
+    }, {
+      greeting: 'Hi, John Doe!'
+    })
+  }, objectTemplate.errors.NoMatchError)
+
+  test.is(error.code, 'ENOMATCH')
+  test.is(error.variable, 'name')
+  test.deepEqual(error.path, [ 'greeting' ])
+})
+
+ava.test('.decompile() should throw a TypeCastError for an invalid object', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      foo: 'Foo {{object:person}}'
+    }, {
+      foo: 'Foo bar'
+    })
+  }, objectTemplate.errors.TypeCastError)
+
+  test.is(error.type, 'object')
+  test.deepEqual(error.path, [ 'foo' ])
+})
+
+ava.test('.matches() should return false if a variable is missing', (test) => {
+  test.false(objectTemplate.matches({
+    foo: '{{foo}}',
+    bar: [ '{{bar}}' ]
+  }, {
+    foo: 'foo'
+  }))
+})
+
+ava.test('.matches() should return false if the literal text doesn\'t match', (test) => {
+  test.false(objectTemplate.matches({
+    foo: 'x{{bar}}'
+  }, {
+    foo: 'zz'
+  }))
+})
+
+ava.test('.matches() should return false if a value can\'t be casted to its type', (test) => {
+  test.false(objectTemplate.matches({
+    foo: '{{number:bar}}'
+  }, {
+    foo: 'abc'
+  }))
+})
+
+ava.test('.matches() should return false if the inverse of a filter fails', (test) => {
+  test.false(objectTemplate.matches({
+    env: 'SETTINGS={{settings | json}}'
+  }, {
+    env: 'SETTINGS={debug}'
+  }))
+})
+
+ava.test('errors should inherit from ObjectTemplateError', (test) => {
+  const error = new objectTemplate.errors.NoMatchError('name')
+  test.true(error instanceof objectTemplate.errors.ObjectTemplateError)
+  test.is(error.name, 'NoMatchError')
+  test.deepEqual(error.path, [])
+})
@@ -0,0 +1,78 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+const template = {
+  '\\{{name}}': 'Hello \\{{name}}, I am {{name}}',
+  config: '{ "proxy": "\\{{ proxy }}", "port": {{number:port}} }'
+}
+
+const result = {
+  '{{name}}': 'Hello {{name}}, I am John',
+  config: '{ "proxy": "{{ proxy }}", "port": 8080 }'
+}
+
+const data = {
+  name: 'John',
+  port: 8080
+}
+
+ava.test('.compile() should output escaped delimiters literally', (test) => {
+  test.deepEqual(objectTemplate.compile(template, data), result)
+})
+
+ava.test('.compile() should output a backslash before an interpolation', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    path: 'C:\\\\{{folder}}'
+  }, {
+    folder: 'Users'
+  }), {
+    path: 'C:\\Users'
+  })
+})
+
+ava.test('.decompile() should treat escaped delimiters as fixed text', (test) => {
+  test.deepEqual(objectTemplate.decompile(template, result), data)
+})
+
+ava.test('.decompile() should throw if an escaped delimiter is missing from the result', (test) => {
+  test.throws(() => {
+    objectTemplate.decompile(template, {
+      '{{name}}': 'Hello John, I am John',
+      config: '{ "proxy": "{{ proxy }}", "port": 8080 }'
+    })
+  }, objectTemplate.errors.NoMatchError)
+})
+
+ava.test('.variables() should ignore escaped delimiters', (test) => {
+  test.deepEqual(objectTemplate.variables(template).map((variable) => {
+    return variable.property
+  }), [ 'name', 'port' ])
+})
+
+ava.test('.compile() should take escaped custom delimiters literally', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    greeting: '\\<% name %> is <% name %>'
+  }, data, {
+    delimiters: [ '<%', '%>' ]
+  }), {
+    greeting: '<% name %> is John'
+  })
+})
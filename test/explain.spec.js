@@ -0,0 +1,215 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+ava.test('.explain() should return an empty array if the object matches', (test) => {
+  test.deepEqual(objectTemplate.explain({
+    greeting: 'Hello, {{name}}!',
+    tags: [ '{{tag}}' ],
+    port: 80
+  }, {
+    greeting: 'Hello, John Doe!',
+    tags: [ 'foo' ],
+    port: 80
+  }), [])
+})
+
+ava.test('.explain() should report missing and extra keys', (test) => {
+  test.deepEqual(objectTemplate.explain({
+    name: '{{name}}',
+    profile: {
+      age: '{{age}}'
+    }
+  }, {
+    profile: {},
+    foo: 'bar'
+  }), [
+    {
+      path: [ 'foo' ],
+      reason: 'extra-key',
+      expected: null,
+      actual: 'bar'
+    },
+    {
+      path: [ 'name' ],
+      reason: 'missing-key',
+      expected: '{{name}}'
+    },
+    {
+      path: [ 'profile', 'age' ],
+      reason: 'missing-key',
+      expected: '{{age}}'
+    }
+  ])
+})
+
+ava.test('.explain() should report missing and extra array elements', (test) => {
+  test.deepEqual(objectTemplate.explain({
+    foo: [ '{{foo}}', '{{bar}}' ],
+    bar: [ 'bar' ]
+  }, {
+    foo: [ 'foo' ],
+    bar: [ 'bar', 'baz' ]
+  }), [
+    {
+      path: [ 'foo', 1 ],
+      reason: 'missing-key',
+      expected: '{{bar}}'
+    },
+    {
+      path: [ 'bar', 1 ],
+      reason: 'extra-key',
+      expected: null,
+      actual: 'baz'
+    }
+  ])
+})
+
+ava.test('.explain() should report missing templated keys', (test) => {
+  test.deepEqual(objectTemplate.explain({
+    'device-{{uuid}}': '{{name}}'
+  }, {
+    'service-foo': 'bar'
+  }), [
+    {
+      path: [ 'device-{{uuid}}' ],
+      reason: 'missing-key',
+      expected: '{{name}}'
+    },
+    {
+      path: [ 'service-foo' ],
+      reason: 'extra-key',
+      expected: null,
+      actual: 'bar'
+    }
+  ])
+})
+
+ava.test('.explain() should report literal text mismatches', (test) => {
+  test.deepEqual(objectTemplate.explain({
+    greeting: 'Hello, {{name}}!'
+  }, {
+    greeting: 'Hi, John Doe!'
+  }), [
+    {
+      path: [ 'greeting' ],
+      reason: 'literal-mismatch',
+      expected: 'Hello, {{name}}!',
+      actual: 'Hi, John Doe!'
+    }
+  ])
+})
+
+ava.test('.explain() should report type cast failures', (test) => {
+  test.deepEqual(objectTemplate.explain({
+    age: 'I am {{number:age}} years old'
+  }, {
+    age: 'I am foo years old'
+  }), [
+    {
+      path: [ 'age' ],
+      reason: 'type-cast',
+      expected: 'I am {{number:age}} years old',
+      actual: 'I am foo years old'
+    }
+  ])
+})
+
+ava.test('.explain() should report structural and literal value mismatches', (test) => {
+  test.deepEqual(objectTemplate.explain({
+    profile: {
+      name: '{{name}}'
+    },
+    port: 80,
+    age: '{{number:age}}'
+  }, {
+    profile: 'John Doe',
+    port: 8080,
+    age: '21'
+  }), [
+    {
+      path: [ 'profile' ],
+      reason: 'type-mismatch',
+      expected: {
+        name: '{{name}}'
+      },
+      actual: 'John Doe'
+    },
+    {
+      path: [ 'port' ],
+      reason: 'value-mismatch',
+      expected: 80,
+      actual: 8080
+    },
+    {
+      path: [ 'age' ],
+      reason: 'value-mismatch',
+      expected: '{{number:age}}',
+      actual: '21'
+    }
+  ])
+})
+
+ava.test('.explain() should report conflicting variables', (test) => {
+  test.deepEqual(objectTemplate.explain({
+    name: '{{name}}',
+    greeting: 'Hello, {{name}}!'
+  }, {
+    name: 'John Doe',
+    greeting: 'Hello, Jane Doe!'
+  }), [
+    {
+      path: [ 'greeting' ],
+      reason: 'conflicting-variable',
+      expected: 'John Doe',
+      actual: 'Jane Doe',
+      variable: 'name',
+      paths: [ [ 'name' ], [ 'greeting' ] ],
+      values: [ 'John Doe', 'Jane Doe' ]
+    }
+  ])
+})
+
+ava.test('.explain() should report mismatches inside iteration items with their index', (test) => {
+  test.deepEqual(objectTemplate.explain({
+    hosts: {
+      $each: 'servers',
+      $item: '{{item}}.example.com'
+    }
+  }, {
+    hosts: [ 'foo.example.com', 'bar.example.org' ]
+  }), [
+    {
+      path: [ 'hosts', 1 ],
+      reason: 'literal-mismatch',
+      expected: '{{item}}.example.com',
+      actual: 'bar.example.org'
+    }
+  ])
+})
+
+ava.test('.explain() should not report absent conditional sections', (test) => {
+  test.deepEqual(objectTemplate.explain({
+    proxy: {
+      $if: 'proxy',
+      $then: '{{proxy.host}}'
+    }
+  }, {}), [])
+})
@@ -0,0 +1,224 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+objectTemplate.registerTemplate('device', {
+  name: '{{name}}',
+  network: {
+    ssid: '{{ssid}}',
+    password: '{{password}}'
+  },
+  ports: [ '{{number:port}}' ],
+  proxy: '{{proxy}}'
+})
+
+objectTemplate.registerTemplate('raspberrypi', {
+  $extends: 'device',
+  $remove: [ 'proxy' ],
+  gpu: '{{integer:gpuMemory}}'
+})
+
+objectTemplate.registerTemplate('cycle-a', {
+  $extends: 'cycle-b'
+})
+
+objectTemplate.registerTemplate('cycle-b', {
+  $extends: 'cycle-a'
+})
+
+ava.test('.resolve() should merge overrides into the base template', (test) => {
+  test.deepEqual(objectTemplate.resolve({
+    $extends: 'device',
+    network: {
+      password: 'secret'
+    },
+    ports: [ 80, 443 ]
+  }), {
+    name: '{{name}}',
+    network: {
+      ssid: '{{ssid}}',
+      password: 'secret'
+    },
+    ports: [ 80, 443 ],
+    proxy: '{{proxy}}'
+  })
+})
+
+ava.test('.resolve() should remove keys from the base template', (test) => {
+  test.deepEqual(objectTemplate.resolve({
+    $extends: 'device',
+    $remove: [ 'proxy', 'network.password' ]
+  }), {
+    name: '{{name}}',
+    network: {
+      ssid: '{{ssid}}'
+    },
+    ports: [ '{{number:port}}' ]
+  })
+})
+
+ava.test('.resolve() should resolve chains of templates', (test) => {
+  test.deepEqual(objectTemplate.resolve({
+    $extends: 'raspberrypi',
+    name: 'rpi-{{name}}'
+  }), {
+    name: 'rpi-{{name}}',
+    network: {
+      ssid: '{{ssid}}',
+      password: '{{password}}'
+    },
+    ports: [ '{{number:port}}' ],
+    gpu: '{{integer:gpuMemory}}'
+  })
+})
+
+ava.test('.resolve() should resolve nested templates', (test) => {
+  test.deepEqual(objectTemplate.resolve({
+    devices: [
+      {
+        $extends: 'raspberrypi',
+        $remove: [ 'network', 'ports', 'gpu' ]
+      }
+    ]
+  }), {
+    devices: [
+      {
+        name: '{{name}}'
+      }
+    ]
+  })
+})
+
+ava.test('.resolve() should not modify the registered templates', (test) => {
+  objectTemplate.resolve({
+    $extends: 'device',
+    $remove: [ 'network.ssid' ],
+    network: {
+      password: 'secret'
+    }
+  })
+
+  test.deepEqual(objectTemplate.resolve({
+    $extends: 'device'
+  }).network, {
+    ssid: '{{ssid}}',
+    password: '{{password}}'
+  })
+})
+
+ava.test('.resolve() should throw a CircularTemplateError for templates that extend themselves', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.resolve({
+      $extends: 'cycle-a'
+    })
+  }, objectTemplate.errors.CircularTemplateError)
+
+  test.deepEqual(error.templates, [ 'cycle-a', 'cycle-b', 'cycle-a' ])
+})
+
+ava.test('.resolve() should throw an UnknownTemplateError for unregistered templates', (test) => {
+  test.throws(() => {
+    objectTemplate.resolve({
+      $extends: 'foo'
+    })
+  }, objectTemplate.errors.UnknownTemplateError)
+})
+
+ava.test('.resolve() should throw an InvalidRemoveError if $remove is not an array of paths', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.resolve({
+      $extends: 'device',
+      $remove: 'proxy'
+    })
+  }, objectTemplate.errors.InvalidRemoveError)
+
+  test.is(error.code, 'EINVALIDREMOVE')
+  test.is(error.template, 'device')
+  test.is(error.message, 'Can\'t extend device: $remove must be an array of property paths')
+})
+
+ava.test('.validate() should report invalid $remove properties', (test) => {
+  const errors = objectTemplate.validate({
+    config: {
+      $extends: 'device',
+      $remove: [ [ 'proxy' ] ]
+    }
+  }, {})
+
+  test.deepEqual(errors.map((error) => {
+    return [ error.code, error.path ]
+  }), [
+    [ 'EINVALIDREMOVE', [ 'config' ] ]
+  ])
+})
+
+const template = {
+  $extends: 'raspberrypi',
+  network: {
+    password: 'secret'
+  }
+}
+
+const data = {
+  name: 'rpi',
+  ssid: 'home',
+  port: 80,
+  gpuMemory: 64
+}
+
+const result = {
+  name: 'rpi',
+  network: {
+    ssid: 'home',
+    password: 'secret'
+  },
+  ports: [ 80 ],
+  gpu: 64
+}
+
+ava.test('.compile() should compile templates that extend other templates', (test) => {
+  test.deepEqual(objectTemplate.compile(template, data), result)
+})
+
+ava.test('.decompile() should decompile templates that extend other templates', (test) => {
+  test.deepEqual(objectTemplate.decompile(template, result), data)
+})
+
+ava.test('.variables() should list the variables of the effective template', (test) => {
+  test.deepEqual(objectTemplate.variables(template).map((variable) => {
+    return variable.property
+  }), [ 'name', 'ssid', 'port', 'gpuMemory' ])
+})
+
+ava.test('.validate() should report unknown base templates', (test) => {
+  const errors = objectTemplate.validate({
+    name: '{{name}}',
+    config: {
+      $extends: 'foo'
+    }
+  }, {})
+
+  test.deepEqual(errors.map((error) => {
+    return [ error.code, error.path ]
+  }), [
+    [ 'EMISSINGVARIABLE', [ 'name' ] ],
+    [ 'EUNKNOWNTEMPLATE', [ 'config' ] ]
+  ])
+})
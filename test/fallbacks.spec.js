@@ -0,0 +1,158 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+const template = {
+  name: 'Device {{device.name || fleet.defaultName || "unnamed"}}'
+}
+
+ava.test('.compile() should use the first path of a fallback chain if available', (test) => {
+  test.deepEqual(objectTemplate.compile(template, {
+    device: {
+      name: 'rpi'
+    },
+    fleet: {
+      defaultName: 'device'
+    }
+  }), {
+    name: 'Device rpi'
+  })
+})
+
+ava.test('.compile() should use the next path of a fallback chain', (test) => {
+  test.deepEqual(objectTemplate.compile(template, {
+    fleet: {
+      defaultName: 'device'
+    }
+  }), {
+    name: 'Device device'
+  })
+})
+
+ava.test('.compile() should use the default value of a fallback chain', (test) => {
+  test.deepEqual(objectTemplate.compile(template, {}), {
+    name: 'Device unnamed'
+  })
+})
+
+ava.test('.compile() should cast fallback values to the interpolation type', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    port: '{{number:port || defaults.port}}'
+  }, {
+    defaults: {
+      port: '8080'
+    }
+  }), {
+    port: 8080
+  })
+})
+
+ava.test('.compile() should throw if every path of a chain without default is missing', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      name: '{{device.name || fleet.defaultName}}'
+    }, {})
+  }, objectTemplate.errors.MissingVariableError)
+
+  test.is(error.variable, 'device.name')
+})
+
+ava.test('.decompile() should attribute a value to the first path of a fallback chain', (test) => {
+  test.deepEqual(objectTemplate.decompile(template, {
+    name: 'Device rpi'
+  }), {
+    device: {
+      name: 'rpi'
+    }
+  })
+})
+
+ava.test('.decompile() should not attribute the default value of a fallback chain', (test) => {
+  test.deepEqual(objectTemplate.decompile(template, {
+    name: 'Device unnamed'
+  }), {})
+})
+
+ava.test('.decompile() should not attribute the default value of an independent fallback chain', (test) => {
+  test.deepEqual(objectTemplate.decompile({
+    port: '{{number:port || defaults.port || 80}}'
+  }, {
+    port: 80
+  }), {})
+})
+
+ava.test('.compile() should keep fallback chains when partially evaluating', (test) => {
+  test.deepEqual(objectTemplate.compile(template, {}, {
+    allowMissing: true
+  }), template)
+})
+
+ava.test('.compile() should keep available fallbacks as defaults when partially evaluating', (test) => {
+  test.deepEqual(objectTemplate.compile(template, {
+    fleet: {
+      defaultName: 'device'
+    }
+  }, {
+    allowMissing: true
+  }), {
+    name: 'Device {{device.name || "device"}}'
+  })
+})
+
+ava.test('.parse() should parse fallback paths', (test) => {
+  const [ node ] = objectTemplate.parse('{{ a || b.c || d || 1 }}')
+  test.is(node.path, 'a')
+  test.deepEqual(node.fallbacks, [ 'b.c', 'd' ])
+  test.is(node.defaultValue, '1')
+})
+
+ava.test('.parse() should throw if the default value is not the last alternative', (test) => {
+  test.throws(() => {
+    objectTemplate.parse('{{a || "b" || c}}')
+  }, 'The default value of a must be its last alternative (at character 0)')
+})
+
+ava.test('.variables() should report fallback paths as optional variables', (test) => {
+  test.deepEqual(objectTemplate.variables({
+    name: '{{device.name || fleet.defaultName}}',
+    fleet: '{{fleet.defaultName}}'
+  }), [
+    {
+      property: 'device.name',
+      optional: true,
+      paths: [ [ 'name' ] ],
+      conditional: false
+    },
+    {
+      property: 'fleet.defaultName',
+      paths: [ [ 'name' ], [ 'fleet' ] ],
+      conditional: false
+    }
+  ])
+})
+
+ava.test('.toSchema() should not require optional variables', (test) => {
+  const schema = objectTemplate.toSchema({
+    name: '{{device.name || fleet.defaultName}}'
+  })
+
+  test.false('required' in schema)
+  test.false('required' in schema.properties.device)
+})
@@ -0,0 +1,227 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const _ = require('lodash')
+const objectTemplate = require('..')
+
+objectTemplate.registerFilter('prefix', {
+  apply: (value, prefix) => {
+    return `${prefix}${value}`
+  },
+  inverse: (value, prefix) => {
+    return _.startsWith(value, prefix) ? value.slice(prefix.length) : value
+  }
+})
+
+const testBidirectionalCompilation = (title, template, data, result) => {
+  ava.test(`.compile() should compile ${title}`, (test) => {
+    test.deepEqual(objectTemplate.compile(template, data), result)
+  })
+
+  ava.test(`.decompile() should decompile ${title}`, (test) => {
+    test.deepEqual(objectTemplate.decompile(template, result), data)
+  })
+}
+
+testBidirectionalCompilation('a lower filter', {
+  hostname: '{{hostname | lower}}.local'
+}, {
+  hostname: 'raspberrypi'
+}, {
+  hostname: 'raspberrypi.local'
+})
+
+testBidirectionalCompilation('an upper filter on an independent value', {
+  region: '{{region|upper}}'
+}, {
+  region: 'EU'
+}, {
+  region: 'EU'
+})
+
+testBidirectionalCompilation('a pad filter with a typed value', {
+  port: 'port-{{number:port | pad:5}}'
+}, {
+  port: 80
+}, {
+  port: 'port-00080'
+})
+
+testBidirectionalCompilation('a pad filter with a custom character', {
+  id: '{{id | pad:4:"x"}}'
+}, {
+  id: 'ab'
+}, {
+  id: 'xxab'
+})
+
+testBidirectionalCompilation('a padded zero', {
+  count: '{{integer:count | pad:3}}'
+}, {
+  count: 0
+}, {
+  count: '000'
+})
+
+testBidirectionalCompilation('an urlencode filter', {
+  url: 'https://example.com/{{path | urlencode}}/raw'
+}, {
+  path: 'foo/bar baz'
+}, {
+  url: 'https://example.com/foo%2Fbar%20baz/raw'
+})
+
+testBidirectionalCompilation('a json filter', {
+  env: 'SETTINGS={{settings | json}}'
+}, {
+  settings: {
+    debug: true
+  }
+}, {
+  env: 'SETTINGS={"debug":true}'
+})
+
+testBidirectionalCompilation('a chain of filters', {
+  tag: '{{name | trim | upper | prefix:"v-"}}'
+}, {
+  name: 'ALPHA'
+}, {
+  tag: 'v-ALPHA'
+})
+
+testBidirectionalCompilation('a custom filter with a quoted argument containing separators', {
+  label: '{{name | prefix:"a|b:"}}'
+}, {
+  name: 'foo'
+}, {
+  label: 'a|b:foo'
+})
+
+ava.test('.compile() should apply filters to default values', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    hostname: '{{hostname || "Device" | lower}}'
+  }, {}), {
+    hostname: 'device'
+  })
+})
+
+ava.test('.decompile() should recover default values through filters', (test) => {
+  test.deepEqual(objectTemplate.decompile({
+    port: '{{number:port || 80 | pad:5}}'
+  }, {
+    port: '00080'
+  }), {
+    port: 80
+  })
+})
+
+ava.test('.compile() should apply filters without an inverse', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    summary: '{{description | truncate:10}}'
+  }, {
+    description: 'A very long description'
+  }), {
+    summary: 'A very ...'
+  })
+})
+
+ava.test('.decompile() should throw an IrreversibleFilterError for filters without an inverse', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      summary: '{{description | truncate:10}}'
+    }, {
+      summary: 'A very ...'
+    })
+  }, objectTemplate.errors.IrreversibleFilterError)
+
+  test.is(error.code, 'EIRREVERSIBLEFILTER')
+  test.is(error.variable, 'description')
+  test.is(error.filter, 'truncate')
+  test.deepEqual(error.path, [ 'summary' ])
+  test.is(error.message, 'Can\'t decompile description: the truncate filter has no inverse')
+})
+
+ava.test('.compile() should throw an UnknownFilterError for unregistered filters', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      greeting: 'Hello, {{name | shout}}!'
+    }, {
+      name: 'John'
+    })
+  }, objectTemplate.errors.UnknownFilterError)
+
+  test.is(error.code, 'EUNKNOWNFILTER')
+  test.is(error.filter, 'shout')
+  test.deepEqual(error.path, [ 'greeting' ])
+})
+
+ava.test('.compile() should not take inherited object properties as filters', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      greeting: 'Hello, {{name | constructor}}!'
+    }, {
+      name: 'John'
+    })
+  }, objectTemplate.errors.UnknownFilterError)
+
+  test.is(error.filter, 'constructor')
+})
+
+ava.test('.decompile() should throw a FilterError if an inverse fails', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      env: 'SETTINGS={{settings | json}}'
+    }, {
+      env: 'SETTINGS={debug}'
+    })
+  }, objectTemplate.errors.FilterError)
+
+  test.is(error.code, 'EFILTER')
+  test.is(error.filter, 'json')
+  test.is(error.value, '{debug}')
+})
+
+ava.test('.variables() should ignore filters', (test) => {
+  test.deepEqual(objectTemplate.variables({
+    hostname: '{{hostname || "device" | lower}}'
+  }), [
+    {
+      property: 'hostname',
+      default: 'device',
+      paths: [ [ 'hostname' ] ],
+      conditional: false
+    }
+  ])
+})
+
+ava.test('.registerFilter() should throw if the name is invalid', (test) => {
+  test.throws(() => {
+    objectTemplate.registerFilter('foo-bar', {
+      apply: _.identity
+    })
+  }, 'Invalid filter name: foo-bar')
+})
+
+ava.test('.registerFilter() should throw if the apply function is missing', (test) => {
+  test.throws(() => {
+    objectTemplate.registerFilter('foo', {
+      inverse: _.identity
+    })
+  }, 'The foo filter must define an apply function')
+})
@@ -0,0 +1,220 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const objectTemplate = require('..')
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'object-template-'))
+
+const writeText = (name, text) => {
+  const file = path.join(directory, name)
+  fs.writeFileSync(file, text)
+  return file
+}
+
+const yamlTemplate = [
+  'network:',
+  '  ssid: \'{{wifi.ssid}}\'',
+  '  port: \'{{number:port}}\'',
+  'hostname: \'{{hostname}}.local\'',
+  ''
+].join('\n')
+
+ava.test('.readFile() should read YAML files', (test) => {
+  return objectTemplate.readFile(writeText('read.yaml', yamlTemplate)).then((template) => {
+    test.deepEqual(template, {
+      network: {
+        ssid: '{{wifi.ssid}}',
+        port: '{{number:port}}'
+      },
+      hostname: '{{hostname}}.local'
+    })
+  })
+})
+
+ava.test('.readFile() should read YAML timestamps as strings that .writeFile() writes back', (test) => {
+  const file = writeText('timestamps.yaml', 'released: 2020-01-01\nversion: \'{{version}}\'\n')
+
+  return objectTemplate.readFile(file).then((template) => {
+    test.deepEqual(template, {
+      released: '2020-01-01',
+      version: '{{version}}'
+    })
+
+    return objectTemplate.writeFile(file, template).then(() => {
+      return objectTemplate.readFile(file)
+    }).then((written) => {
+      test.deepEqual(written, template)
+    })
+  })
+})
+
+ava.test('.readFile() should read JSON5 files', (test) => {
+  return objectTemplate.readFile(writeText('read.json5', '{ name: \'{{name}}\', /* comment */ }')).then((template) => {
+    test.deepEqual(template, {
+      name: '{{name}}'
+    })
+  })
+})
+
+ava.test('.readFile() should read the __proto__ keys of JSON5 files as plain keys', (test) => {
+  return objectTemplate.readFile(writeText('proto.json5', '{ __proto__: { polluted: \'{{name}}\' } }')).then((template) => {
+    test.is(Reflect.getPrototypeOf(template), Object.prototype)
+    test.false('polluted' in template)
+    test.false('polluted' in {})
+  })
+})
+
+ava.test('.readFile() should read files with other extensions as JSON', (test) => {
+  return objectTemplate.readFile(writeText('read.txt', '{ "name": "{{name}}" }')).then((template) => {
+    test.deepEqual(template, {
+      name: '{{name}}'
+    })
+  })
+})
+
+ava.test('.readFile() should read files in the format of the format option', (test) => {
+  return objectTemplate.readFile(writeText('read.conf', 'name: foo'), {
+    format: 'yaml'
+  }).then((data) => {
+    test.deepEqual(data, {
+      name: 'foo'
+    })
+  })
+})
+
+ava.test('.readFile() should reject invalid files', (test) => {
+  return objectTemplate.readFile(writeText('invalid.json', '{')).then(() => {
+    test.fail()
+  }).catch((error) => {
+    test.regex(error.message, /^Invalid JSON in .*invalid\.json: /)
+  })
+})
+
+ava.test('.readFile() should reject missing files', (test) => {
+  return objectTemplate.readFile(path.join(directory, 'missing.yaml')).then(() => {
+    test.fail()
+  }).catch((error) => {
+    test.regex(error.message, /^Can't read .*missing\.yaml: ENOENT/)
+  })
+})
+
+ava.test('.readFile() should reject unknown formats', (test) => {
+  return objectTemplate.readFile(writeText('unknown.txt', ''), {
+    format: 'xml'
+  }).then(() => {
+    test.fail()
+  }).catch((error) => {
+    test.is(error.message, 'Unknown format: xml')
+  })
+})
+
+ava.test('.writeFile() should write files in the format of their extension', (test) => {
+  const value = {
+    greeting: 'Hello, {{name}}!',
+    ports: [ 80, 443 ]
+  }
+
+  return Promise.all([
+    objectTemplate.writeFile(path.join(directory, 'write.yml'), value),
+    objectTemplate.writeFile(path.join(directory, 'write.json5'), value),
+    objectTemplate.writeFile(path.join(directory, 'write.json'), value)
+  ]).then(() => {
+    test.is(fs.readFileSync(path.join(directory, 'write.yml'), 'utf8'), [
+      'greeting: \'Hello, {{name}}!\'',
+      'ports:',
+      '  - 80',
+      '  - 443',
+      ''
+    ].join('\n'))
+
+    test.is(fs.readFileSync(path.join(directory, 'write.json5'), 'utf8'), [
+      '{',
+      '  greeting: \'Hello, {{name}}!\',',
+      '  ports: [',
+      '    80,',
+      '    443,',
+      '  ],',
+      '}',
+      ''
+    ].join('\n'))
+
+    test.is(fs.readFileSync(path.join(directory, 'write.json'), 'utf8'), `${JSON.stringify(value, null, 2)}\n`)
+  })
+})
+
+ava.test('.writeFile() should write files in the format of the format option', (test) => {
+  const file = path.join(directory, 'write.txt')
+
+  return objectTemplate.writeFile(file, {
+    name: 'foo'
+  }, {
+    format: 'yaml'
+  }).then(() => {
+    test.is(fs.readFileSync(file, 'utf8'), 'name: foo\n')
+  })
+})
+
+ava.test('should round trip YAML files through compile and decompile', (test) => {
+  const resultFile = path.join(directory, 'result.yaml')
+  const dataFile = path.join(directory, 'data.yaml')
+
+  return Promise.all([
+    objectTemplate.readFile(writeText('template.yaml', yamlTemplate)),
+    objectTemplate.readFile(writeText('input.yaml', [
+      'wifi:',
+      '  ssid: home',
+      'port: 8080',
+      'hostname: rpi',
+      ''
+    ].join('\n')))
+  ]).then(([ template, data ]) => {
+    return objectTemplate.writeFile(resultFile, objectTemplate.compile(template, data)).then(() => {
+      test.is(fs.readFileSync(resultFile, 'utf8'), [
+        'network:',
+        '  ssid: home',
+        '  port: 8080',
+        'hostname: rpi.local',
+        ''
+      ].join('\n'))
+
+      return objectTemplate.readFile(resultFile)
+    }).then((result) => {
+      return objectTemplate.writeFile(dataFile, objectTemplate.decompile(template, result))
+    }).then(() => {
+      test.is(fs.readFileSync(dataFile, 'utf8'), [
+        'wifi:',
+        '  ssid: home',
+        'port: 8080',
+        'hostname: rpi',
+        ''
+      ].join('\n'))
+    })
+  })
+})
+
+ava.after.always(() => {
+  for (const file of fs.readdirSync(directory)) {
+    fs.unlinkSync(path.join(directory, file))
+  }
+
+  fs.rmdirSync(directory)
+})
@@ -0,0 +1,262 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+objectTemplate.registerTemplate('network', {
+  ssid: '{{ssid}}',
+  port: '{{number:port}}'
+})
+
+objectTemplate.registerTemplate('interface', '{{name}}:{{integer:mtu}}')
+
+objectTemplate.registerTemplate('loop', {
+  self: {
+    $include: 'loop'
+  }
+})
+
+const testBidirectionalCompilation = (title, template, data, result) => {
+  ava.test(`.compile() should compile ${title}`, (test) => {
+    test.deepEqual(objectTemplate.compile(template, data), result)
+  })
+
+  ava.test(`.decompile() should decompile ${title}`, (test) => {
+    test.deepEqual(objectTemplate.decompile(template, result), data)
+  })
+}
+
+testBidirectionalCompilation('an included template', {
+  name: '{{name}}',
+  network: {
+    $include: 'network'
+  }
+}, {
+  name: 'rpi',
+  ssid: 'home',
+  port: 8080
+}, {
+  name: 'rpi',
+  network: {
+    ssid: 'home',
+    port: 8080
+  }
+})
+
+testBidirectionalCompilation('an included template with scoped data', {
+  wifi: {
+    $include: 'network',
+    $with: 'networks.wifi'
+  },
+  ethernet: {
+    $include: 'network',
+    $with: 'networks.ethernet'
+  }
+}, {
+  networks: {
+    wifi: {
+      ssid: 'home',
+      port: 80
+    },
+    ethernet: {
+      ssid: 'office',
+      port: 8080
+    }
+  }
+}, {
+  wifi: {
+    ssid: 'home',
+    port: 80
+  },
+  ethernet: {
+    ssid: 'office',
+    port: 8080
+  }
+})
+
+testBidirectionalCompilation('included templates in iteration sections', {
+  interfaces: {
+    $each: 'interfaces',
+    $item: {
+      $include: 'interface',
+      $with: 'item'
+    }
+  }
+}, {
+  interfaces: [
+    {
+      name: 'eth0',
+      mtu: 1500
+    },
+    {
+      name: 'wlan0',
+      mtu: 1400
+    }
+  ]
+}, {
+  interfaces: [ 'eth0:1500', 'wlan0:1400' ]
+})
+
+ava.test('.compile() should throw an UnknownTemplateError for unregistered templates', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      network: {
+        $include: 'foo'
+      }
+    }, {})
+  }, objectTemplate.errors.UnknownTemplateError)
+
+  test.is(error.code, 'EUNKNOWNTEMPLATE')
+  test.is(error.template, 'foo')
+  test.deepEqual(error.path, [ 'network' ])
+})
+
+ava.test('.compile() should not take inherited object properties as templates', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      network: {
+        $include: 'toString'
+      }
+    }, {})
+  }, objectTemplate.errors.UnknownTemplateError)
+
+  test.is(error.template, 'toString')
+})
+
+ava.test('.compile() should throw a CircularTemplateError for recursive templates', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      $include: 'loop'
+    }, {})
+  }, objectTemplate.errors.CircularTemplateError)
+
+  test.is(error.code, 'ECIRCULARTEMPLATE')
+  test.deepEqual(error.templates, [ 'loop', 'loop' ])
+  test.deepEqual(error.path, [ 'self' ])
+})
+
+ava.test('.compile() should report errors inside included templates with their path', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      network: {
+        $include: 'network'
+      }
+    }, {
+      ssid: 'home'
+    })
+  }, objectTemplate.errors.MissingVariableError)
+
+  test.deepEqual(error.path, [ 'network', 'port' ])
+})
+
+ava.test('.compile() should throw if the scoped data is missing', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      network: {
+        $include: 'network',
+        $with: 'wifi'
+      }
+    }, {})
+  }, objectTemplate.errors.MissingVariableError)
+
+  test.is(error.variable, 'wifi')
+})
+
+ava.test('.compile() should keep include sections with missing scoped data when partially evaluating', (test) => {
+  const template = {
+    network: {
+      $include: 'network',
+      $with: 'wifi'
+    }
+  }
+
+  test.deepEqual(objectTemplate.compile(template, {}, {
+    allowMissing: true
+  }), template)
+})
+
+ava.test('.decompile() should throw an UnknownTemplateError for unregistered templates', (test) => {
+  test.throws(() => {
+    objectTemplate.decompile({
+      $include: 'foo'
+    }, {})
+  }, objectTemplate.errors.UnknownTemplateError)
+})
+
+ava.test('.matches() should check included templates', (test) => {
+  const template = {
+    $include: 'network',
+    $with: 'wifi'
+  }
+
+  test.true(objectTemplate.matches(template, {
+    ssid: 'home',
+    port: 80
+  }))
+
+  test.false(objectTemplate.matches(template, {
+    ssid: 'home',
+    port: 80,
+    extra: true
+  }))
+})
+
+ava.test('.variables() should scope the variables of included templates', (test) => {
+  test.deepEqual(objectTemplate.variables({
+    network: {
+      $include: 'network',
+      $with: 'wifi'
+    }
+  }), [
+    {
+      property: 'wifi.ssid',
+      paths: [ [ 'network', 'ssid' ] ],
+      conditional: false
+    },
+    {
+      property: 'wifi.port',
+      type: 'number',
+      paths: [ [ 'network', 'port' ] ],
+      conditional: false
+    }
+  ])
+})
+
+ava.test('.registerTemplate() should throw if the name is invalid', (test) => {
+  test.throws(() => {
+    objectTemplate.registerTemplate('foo bar', {})
+  }, 'Invalid template name: foo bar')
+})
+
+ava.test('.registerTemplate() should copy the template', (test) => {
+  const template = {
+    name: '{{name}}'
+  }
+
+  objectTemplate.registerTemplate('copy', template)
+  template.name = '{{other}}'
+
+  test.deepEqual(objectTemplate.compile({
+    $include: 'copy'
+  }, {
+    name: 'foo'
+  }), {
+    name: 'foo'
+  })
+})
@@ -0,0 +1,144 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+ava.test('.lint() should return an empty array for a valid template', (test) => {
+  test.deepEqual(objectTemplate.lint({
+    greeting: 'Hello, {{ name }}!',
+    age: '{{number:age || 18}}',
+    '{{key}}': [ '{{value | upper}}' ]
+  }), [])
+})
+
+ava.test('.lint() should report unclosed delimiters', (test) => {
+  const [ error ] = objectTemplate.lint({
+    greeting: 'Hello, {{name!'
+  })
+
+  test.true(error instanceof objectTemplate.errors.TemplateSyntaxError)
+  test.is(error.code, 'ESYNTAX')
+  test.deepEqual(error.path, [ 'greeting' ])
+  test.is(error.offset, 7)
+  test.is(error.message, 'Unclosed delimiter (at greeting, character 7)')
+})
+
+ava.test('.lint() should report invalid default values', (test) => {
+  const [ error ] = objectTemplate.lint({
+    person: {
+      name: 'Name: {{name || \'Jane\'}}'
+    }
+  })
+
+  test.true(error instanceof objectTemplate.errors.TemplateSyntaxError)
+  test.is(error.code, 'EINVALIDDEFAULT')
+  test.is(error.variable, 'name')
+  test.deepEqual(error.path, [ 'person', 'name' ])
+  test.is(error.offset, 6)
+})
+
+ava.test('.lint() should report unknown types', (test) => {
+  const [ error ] = objectTemplate.lint({
+    age: '{{num:age}}'
+  })
+
+  test.is(error.code, 'ESYNTAX')
+  test.is(error.variable, 'age')
+  test.is(error.message, 'Unknown type or resolver num (at age, character 0)')
+})
+
+ava.test('.lint() should report the opt-in resolvers if they are not registered', (test) => {
+  test.deepEqual(objectTemplate.lint({
+    hostname: '{{env:HOSTNAME}}',
+    certificate: '{{file:ca.pem}}'
+  }).map((error) => {
+    return error.message
+  }), [
+    'Unknown type or resolver env (at hostname, character 0)',
+    'Unknown type or resolver file (at certificate, character 0)'
+  ])
+
+  test.deepEqual(objectTemplate.lint({
+    hostname: '{{env:HOSTNAME}}',
+    certificate: '{{file:ca.pem}}'
+  }, {
+    resolvers: objectTemplate.resolvers
+  }), [])
+})
+
+ava.test('.lint() should report empty property names', (test) => {
+  const [ error ] = objectTemplate.lint({
+    list: [ 'foo', 'bar {{ || "baz" }}' ]
+  })
+
+  test.is(error.code, 'ESYNTAX')
+  test.deepEqual(error.path, [ 'list', 1 ])
+  test.is(error.offset, 4)
+  test.is(error.message, 'Empty property name (at list[1], character 4)')
+})
+
+ava.test('.lint() should report errors in keys and sections', (test) => {
+  const errors = objectTemplate.lint({
+    '{{name': 'foo',
+    hosts: {
+      $each: 'servers',
+      $item: '{{item || }}'
+    }
+  })
+
+  test.deepEqual(errors.map((error) => {
+    return [ error.path, error.offset ]
+  }), [
+    [ [ '{{name' ], 0 ],
+    [ [ 'hosts', '$item' ], 0 ]
+  ])
+})
+
+ava.test('.lint() should honor custom delimiters', (test) => {
+  const [ error ] = objectTemplate.lint({
+    greeting: '{{name}} <%name'
+  }, {
+    delimiters: [ '<%', '%>' ]
+  })
+
+  test.is(error.offset, 9)
+})
+
+ava.test('.compile() should throw a TemplateSyntaxError for malformed templates', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      greeting: 'Hello, {{name'
+    }, {
+      name: 'John'
+    })
+  }, objectTemplate.errors.TemplateSyntaxError)
+
+  test.deepEqual(error.path, [ 'greeting' ])
+  test.is(error.offset, 7)
+})
+
+ava.test('.decompile() should throw a TemplateSyntaxError for malformed templates', (test) => {
+  test.throws(() => {
+    objectTemplate.decompile({
+      greeting: 'Hello, {{}}'
+    }, {
+      greeting: 'Hello, John'
+    })
+  }, objectTemplate.errors.TemplateSyntaxError)
+})
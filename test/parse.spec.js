@@ -0,0 +1,204 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+ava.test('.parse() should parse a literal string', (test) => {
+  test.deepEqual(objectTemplate.parse('Hello'), [
+    {
+      kind: 'literal',
+      value: 'Hello',
+      start: 0,
+      end: 5
+    }
+  ])
+})
+
+ava.test('.parse() should parse an empty string', (test) => {
+  test.deepEqual(objectTemplate.parse(''), [])
+})
+
+ava.test('.parse() should parse literals and interpolations', (test) => {
+  test.deepEqual(objectTemplate.parse('Hello, {{name}}!'), [
+    {
+      kind: 'literal',
+      value: 'Hello, ',
+      start: 0,
+      end: 7
+    },
+    {
+      kind: 'interpolation',
+      raw: '{{name}}',
+      path: 'name',
+      filters: [],
+      start: 7,
+      end: 15
+    },
+    {
+      kind: 'literal',
+      value: '!',
+      start: 15,
+      end: 16
+    }
+  ])
+})
+
+ava.test('.parse() should parse types, defaults and filters', (test) => {
+  test.deepEqual(objectTemplate.parse('{{number:port || 80 | pad:5:"0"}}'), [
+    {
+      kind: 'interpolation',
+      raw: '{{number:port || 80 | pad:5:"0"}}',
+      type: 'number',
+      path: 'port',
+      defaultValue: '80',
+      filters: [
+        {
+          name: 'pad',
+          args: [ 5, '0' ]
+        }
+      ],
+      start: 0,
+      end: 33
+    }
+  ])
+})
+
+ava.test('.parse() should allow whitespace inside delimiters', (test) => {
+  const [ node ] = objectTemplate.parse('{{ number:age }}')
+  test.is(node.type, 'number')
+  test.is(node.path, 'age')
+  test.is(node.end, 16)
+})
+
+ava.test('.parse() should parse defaults with nested braces', (test) => {
+  const [ node ] = objectTemplate.parse('{{config || {"a":{"b":"}}"}}}}!')
+  test.is(node.path, 'config')
+  test.is(node.defaultValue, '{"a":{"b":"}}"}}')
+  test.is(node.end, 30)
+})
+
+ava.test('.parse() should parse defaults with escaped quotes and separators', (test) => {
+  const [ node ] = objectTemplate.parse('{{a || "x \\"|\\" y"}}')
+  test.is(node.path, 'a')
+  test.is(node.defaultValue, '"x \\"|\\" y"')
+  test.deepEqual(node.filters, [])
+})
+
+ava.test('.parse() should parse adjacent interpolations', (test) => {
+  test.deepEqual(objectTemplate.parse('{{a}}{{b}}').map((node) => {
+    return [ node.path, node.start, node.end ]
+  }), [
+    [ 'a', 0, 5 ],
+    [ 'b', 5, 10 ]
+  ])
+})
+
+ava.test('.parse() should keep invalid interpolations as literals', (test) => {
+  test.deepEqual(objectTemplate.parse('{{foo bar}}'), [
+    {
+      kind: 'literal',
+      value: '{{foo bar}}',
+      start: 0,
+      end: 11
+    }
+  ])
+})
+
+ava.test('.parse() should accept custom delimiters', (test) => {
+  test.deepEqual(objectTemplate.parse('Foo [ person ]', {
+    delimiters: [ '\\[', '\\]' ]
+  }), [
+    {
+      kind: 'literal',
+      value: 'Foo ',
+      start: 0,
+      end: 4
+    },
+    {
+      kind: 'interpolation',
+      raw: '[ person ]',
+      path: 'person',
+      filters: [],
+      start: 4,
+      end: 14
+    }
+  ])
+})
+
+ava.test('.parse() should take escaped delimiters literally', (test) => {
+  test.deepEqual(objectTemplate.parse('Foo \\{{bar}} {{baz}}'), [
+    {
+      kind: 'literal',
+      value: 'Foo {{bar}} ',
+      start: 0,
+      end: 13
+    },
+    {
+      kind: 'interpolation',
+      raw: '{{baz}}',
+      path: 'baz',
+      filters: [],
+      start: 13,
+      end: 20
+    }
+  ])
+})
+
+ava.test('.parse() should not report unclosed escaped delimiters', (test) => {
+  test.deepEqual(objectTemplate.parse('\\{{'), [
+    {
+      kind: 'literal',
+      value: '{{',
+      start: 0,
+      end: 3
+    }
+  ])
+})
+
+ava.test('.parse() should parse an interpolation after an escaped backslash', (test) => {
+  test.deepEqual(objectTemplate.parse('C:\\\\{{folder}}'), [
+    {
+      kind: 'literal',
+      value: 'C:\\',
+      start: 0,
+      end: 4
+    },
+    {
+      kind: 'interpolation',
+      raw: '{{folder}}',
+      path: 'folder',
+      filters: [],
+      start: 4,
+      end: 14
+    }
+  ])
+})
+
+ava.test('.parse() should take escaped custom delimiters literally', (test) => {
+  test.deepEqual(objectTemplate.parse('\\<% foo %>', {
+    delimiters: [ '<%', '%>' ]
+  }), [
+    {
+      kind: 'literal',
+      value: '<% foo %>',
+      start: 0,
+      end: 10
+    }
+  ])
+})
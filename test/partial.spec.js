@@ -0,0 +1,312 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+const partial = (template, data) => {
+  return objectTemplate.compile(template, data, {
+    allowMissing: true
+  })
+}
+
+ava.test('.compile() should substitute the available variables of a string', (test) => {
+  test.deepEqual(partial({
+    url: 'https://{{host}}:{{number:port}}/{{path}}'
+  }, {
+    host: 'example.com'
+  }), {
+    url: 'https://example.com:{{number:port}}/{{path}}'
+  })
+})
+
+ava.test('.compile() should keep placeholders of variables with defaults', (test) => {
+  test.deepEqual(partial({
+    port: '{{number:port || 80}}',
+    hostname: '{{hostname || "device" | lower}}.local'
+  }, {}), {
+    port: '{{number:port || 80}}',
+    hostname: '{{hostname || "device" | lower}}.local'
+  })
+})
+
+ava.test('.compile() should keep escaped delimiters escaped', (test) => {
+  test.deepEqual(partial({
+    command: 'echo \\{{literal}} {{message}}'
+  }, {}), {
+    command: 'echo \\{{literal}} {{message}}'
+  })
+})
+
+ava.test('.compile() should escape delimiters inside substituted values', (test) => {
+  const template = partial({
+    command: '{{prefix}} {{message}}'
+  }, {
+    prefix: '{{message}}'
+  })
+
+  test.deepEqual(template, {
+    command: '\\{{message}} {{message}}'
+  })
+
+  test.deepEqual(objectTemplate.compile(template, {
+    message: 'Hello'
+  }), {
+    command: '{{message}} Hello'
+  })
+})
+
+ava.test('.compile() should keep escaped delimiters escaped in strings without kept placeholders', (test) => {
+  const template = partial({
+    literal: '\\{{literal}}',
+    message: '{{message}}'
+  }, {})
+
+  test.deepEqual(template, {
+    literal: '\\{{literal}}',
+    message: '{{message}}'
+  })
+
+  test.deepEqual(objectTemplate.compile(template, {
+    message: 'Hello'
+  }), {
+    literal: '{{literal}}',
+    message: 'Hello'
+  })
+})
+
+ava.test('.compile() should escape delimiters inside substituted values of bounded interpolations', (test) => {
+  const template = partial({
+    command: '{{command}}',
+    message: '{{message}}'
+  }, {
+    command: 'echo {{message}}'
+  })
+
+  test.deepEqual(template, {
+    command: 'echo \\{{message}}',
+    message: '{{message}}'
+  })
+
+  test.deepEqual(objectTemplate.compile(template, {
+    message: 'Hello'
+  }), {
+    command: 'echo {{message}}',
+    message: 'Hello'
+  })
+})
+
+ava.test('.compile() should escape delimiters inside objects of bounded interpolations', (test) => {
+  const template = partial({
+    settings: '{{object:settings}}',
+    message: '{{message}}'
+  }, {
+    settings: {
+      command: 'echo {{message}}',
+      '{{key}}': [ '{{item}}', 1 ]
+    }
+  })
+
+  test.deepEqual(template, {
+    settings: {
+      command: 'echo \\{{message}}',
+      '\\{{key}}': [ '\\{{item}}', 1 ]
+    },
+    message: '{{message}}'
+  })
+
+  test.deepEqual(objectTemplate.compile(template, {
+    message: 'Hello'
+  }), {
+    settings: {
+      command: 'echo {{message}}',
+      '{{key}}': [ '{{item}}', 1 ]
+    },
+    message: 'Hello'
+  })
+})
+
+ava.test('.compile() should keep the available fallbacks of placeholders as defaults', (test) => {
+  const template = partial({
+    name: '{{device.name || fleet.defaultName || "unnamed"}}',
+    port: '{{number:device.port || device.defaultPort || fleet.port | pad:5}}'
+  }, {
+    fleet: {
+      defaultName: 'fleet-device',
+      port: 8080
+    }
+  })
+
+  test.deepEqual(template, {
+    name: '{{device.name || "fleet-device"}}',
+    port: '{{number:device.port || device.defaultPort || 8080 | pad:5}}'
+  })
+
+  test.deepEqual(objectTemplate.compile(template, {
+    device: {}
+  }), {
+    name: 'fleet-device',
+    port: '08080'
+  })
+
+  test.deepEqual(objectTemplate.compile(template, {
+    device: {
+      name: 'foo',
+      defaultPort: 80
+    }
+  }), {
+    name: 'foo',
+    port: '00080'
+  })
+})
+
+ava.test('.compile() should escape backslashes before kept placeholders', (test) => {
+  const template = partial({
+    path: '{{drive}}\\\\{{folder}}'
+  }, {
+    drive: 'C:'
+  })
+
+  test.deepEqual(template, {
+    path: 'C:\\\\{{folder}}'
+  })
+
+  test.deepEqual(objectTemplate.compile(template, {
+    folder: 'foo'
+  }), {
+    path: 'C:\\foo'
+  })
+})
+
+ava.test('.compile() should partially evaluate strings inside arrays', (test) => {
+  test.deepEqual(partial({
+    command: [ 'run', '--name={{name}}', '--port={{port}}' ]
+  }, {
+    name: 'redis'
+  }), {
+    command: [ 'run', '--name=redis', '--port={{port}}' ]
+  })
+})
+
+ava.test('.compile() should partially evaluate keys', (test) => {
+  test.deepEqual(partial({
+    '{{prefix}}.{{name}}': '{{value}}'
+  }, {
+    prefix: 'io.balena',
+    value: 'enabled'
+  }), {
+    'io.balena.{{name}}': 'enabled'
+  })
+})
+
+ava.test('.compile() should keep iteration sections with missing sources', (test) => {
+  test.deepEqual(partial({
+    hosts: {
+      $each: 'servers',
+      $as: 'server',
+      $item: '{{server}}.{{domain}}'
+    }
+  }, {
+    domain: 'example.com',
+    server: 'shadowed'
+  }), {
+    hosts: {
+      $each: 'servers',
+      $as: 'server',
+      $item: '{{server}}.example.com'
+    }
+  })
+})
+
+ava.test('.compile() should partially evaluate the items of iteration sections', (test) => {
+  test.deepEqual(partial({
+    hosts: {
+      $each: 'servers',
+      $item: '{{item}}.{{domain}}'
+    }
+  }, {
+    servers: [ 'foo', 'bar' ]
+  }), {
+    hosts: [ 'foo.{{domain}}', 'bar.{{domain}}' ]
+  })
+})
+
+ava.test('.compile() should keep conditional sections with missing flags', (test) => {
+  test.deepEqual(partial({
+    proxy: {
+      $if: 'proxyEnabled',
+      $then: {
+        host: '{{proxyHost}}',
+        port: '{{number:proxyPort}}'
+      }
+    }
+  }, {
+    proxyHost: 'proxy.local'
+  }), {
+    proxy: {
+      $if: 'proxyEnabled',
+      $then: {
+        host: 'proxy.local',
+        port: '{{number:proxyPort}}'
+      }
+    }
+  })
+})
+
+ava.test('.compile() should omit conditional sections with false flags', (test) => {
+  test.deepEqual(partial({
+    name: '{{name}}',
+    proxy: {
+      $if: 'proxyEnabled',
+      $then: '{{proxyHost}}'
+    }
+  }, {
+    proxyEnabled: false
+  }), {
+    name: '{{name}}'
+  })
+})
+
+ava.test('.compile() should compile a partially evaluated template in stages', (test) => {
+  const template = {
+    name: '{{fleet}}-{{device}}',
+    port: '{{number:port || 8080}}',
+    env: [ 'FLEET={{fleet}}', 'DEBUG={{boolean:debug}}' ],
+    proxy: {
+      $if: 'proxyEnabled',
+      $then: '{{proxyHost}}:{{proxyPort}}'
+    }
+  }
+
+  const fleetTemplate = partial(template, {
+    fleet: 'production',
+    proxyPort: 3128
+  })
+
+  test.deepEqual(objectTemplate.compile(fleetTemplate, {
+    device: 'rpi',
+    debug: true,
+    proxyEnabled: true,
+    proxyHost: 'proxy.local'
+  }), {
+    name: 'production-rpi',
+    port: 8080,
+    env: [ 'FLEET=production', 'DEBUG=true' ],
+    proxy: 'proxy.local:3128'
+  })
+})
@@ -0,0 +1,138 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+const template = {
+  feature: '{{labels["io.balena.feature"]}}',
+  variable: 'MY_VAR={{env[\'MY-VAR\']}}',
+  '{{labels["io.balena.name"]}}': '{{number:env["HTTP PORT"]}}'
+}
+
+const data = {
+  labels: {
+    'io.balena.feature': 'supervisor',
+    'io.balena.name': 'main'
+  },
+  env: {
+    'MY-VAR': 'foo',
+    'HTTP PORT': 8080
+  }
+}
+
+const result = {
+  feature: 'supervisor',
+  variable: 'MY_VAR=foo',
+  main: 8080
+}
+
+ava.test('.compile() should compile quoted property paths', (test) => {
+  test.deepEqual(objectTemplate.compile(template, data), result)
+})
+
+ava.test('.decompile() should nest the data of quoted property paths', (test) => {
+  test.deepEqual(objectTemplate.decompile(template, result), data)
+})
+
+ava.test('.compile() should compile quoted keys with delimiters and separators', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    value: '{{env["A|B}}"] | upper}}'
+  }, {
+    env: {
+      'A|B}}': 'foo'
+    }
+  }), {
+    value: 'FOO'
+  })
+})
+
+ava.test('.compile() should compile quoted keys with escaped quotes', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    value: '{{labels["a\\"b"]}}'
+  }, {
+    labels: {
+      'a"b': 1
+    }
+  }), {
+    value: 1
+  })
+})
+
+ava.test('.compile() should compile quoted fallback paths', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    host: '{{env["MY-HOST"] || labels[\'io.balena.host\'] || "localhost"}}'
+  }, {
+    labels: {
+      'io.balena.host': 'example.com'
+    }
+  }), {
+    host: 'example.com'
+  })
+})
+
+ava.test('.variables() should report quoted property paths', (test) => {
+  test.deepEqual(objectTemplate.variables(template).map((variable) => {
+    return variable.property
+  }), [ 'labels["io.balena.feature"]', 'env[\'MY-VAR\']', 'labels["io.balena.name"]', 'env["HTTP PORT"]' ])
+})
+
+ava.test('.toSchema() should not split quoted keys', (test) => {
+  const schema = objectTemplate.toSchema({
+    feature: '{{labels["io.balena.feature"]}}'
+  })
+
+  test.deepEqual(schema.properties.labels.properties, {
+    'io.balena.feature': {}
+  })
+})
+
+ava.test('.compile() should compile quoted paths of iteration items', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    features: {
+      $each: 'devices',
+      $as: 'device',
+      $item: '{{device.labels["io.balena.feature"]}}'
+    }
+  }, {
+    devices: [
+      {
+        labels: {
+          'io.balena.feature': 'foo'
+        }
+      }
+    ]
+  }), {
+    features: [ 'foo' ]
+  })
+})
+
+ava.test('.parse() should parse quoted property paths', (test) => {
+  test.is(objectTemplate.parse('{{ env["MY-VAR"] }}')[0].path, 'env["MY-VAR"]')
+})
+
+ava.test('.parse() should keep unquoted keys with special characters as literals', (test) => {
+  test.deepEqual(objectTemplate.parse('{{env[MY-VAR]}}'), [
+    {
+      kind: 'literal',
+      value: '{{env[MY-VAR]}}',
+      start: 0,
+      end: 15
+    }
+  ])
+})
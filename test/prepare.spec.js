@@ -0,0 +1,132 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+const template = {
+  greeting: 'Hello, {{name}}!',
+  '{{number:port}}': '{{host | lower}}',
+  interfaces: {
+    $each: 'interfaces',
+    $item: '{{item}}'
+  }
+}
+
+ava.test('.prepare() should compile data', (test) => {
+  const prepared = objectTemplate.prepare(template)
+
+  test.deepEqual(prepared.compile({
+    name: 'John',
+    port: 80,
+    host: 'localhost',
+    interfaces: [ 'eth0', 'wlan0' ]
+  }), {
+    greeting: 'Hello, John!',
+    80: 'localhost',
+    interfaces: [ 'eth0', 'wlan0' ]
+  })
+})
+
+ava.test('.prepare() should compile data many times', (test) => {
+  const prepared = objectTemplate.prepare({
+    greeting: 'Hello, {{name}}!'
+  })
+
+  test.deepEqual(prepared.compile({
+    name: 'John'
+  }), {
+    greeting: 'Hello, John!'
+  })
+
+  test.deepEqual(prepared.compile({
+    name: 'Jane'
+  }), {
+    greeting: 'Hello, Jane!'
+  })
+})
+
+ava.test('.prepare() should decompile results', (test) => {
+  const prepared = objectTemplate.prepare(template)
+
+  test.deepEqual(prepared.decompile({
+    greeting: 'Hello, John!',
+    80: 'localhost',
+    interfaces: [ 'eth0' ]
+  }), {
+    name: 'John',
+    port: 80,
+    host: 'localhost',
+    interfaces: [ 'eth0' ]
+  })
+})
+
+ava.test('.prepare() should check whether objects match', (test) => {
+  const prepared = objectTemplate.prepare({
+    greeting: 'Hello, {{name}}!'
+  })
+
+  test.true(prepared.matches({
+    greeting: 'Hello, John!'
+  }))
+
+  test.false(prepared.matches({
+    greeting: 'Hello, John!',
+    farewell: 'Bye, John!'
+  }))
+})
+
+ava.test('.prepare() should list the template variables', (test) => {
+  const prepared = objectTemplate.prepare({
+    greeting: 'Hello, {{name}}!'
+  })
+
+  test.deepEqual(prepared.variables(), objectTemplate.variables({
+    greeting: 'Hello, {{name}}!'
+  }))
+})
+
+ava.test('.prepare() should use the given options', (test) => {
+  const prepared = objectTemplate.prepare({
+    greeting: 'Hello, <%name%>!'
+  }, {
+    delimiters: [ '<%', '%>' ]
+  })
+
+  test.deepEqual(prepared.compile({
+    name: 'John'
+  }), {
+    greeting: 'Hello, John!'
+  })
+
+  test.deepEqual(prepared.decompile({
+    greeting: 'Hello, Jane!'
+  }), {
+    name: 'Jane'
+  })
+})
+
+ava.test('.prepare() should throw the same errors as .compile()', (test) => {
+  const prepared = objectTemplate.prepare({
+    greeting: 'Hello, {{name}}!'
+  })
+
+  test.throws(() => {
+    prepared.compile({})
+  }, objectTemplate.errors.MissingVariableError)
+})
@@ -0,0 +1,278 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const _ = require('lodash')
+const fs = require('fs')
+const objectTemplate = require('..')
+
+process.env.OBJECT_TEMPLATE_HOSTNAME = 'foo'
+process.env.OBJECT_TEMPLATE_PORT = '8080'
+
+objectTemplate.registerResolver('env', objectTemplate.resolvers.env)
+objectTemplate.registerResolver('file', objectTemplate.resolvers.file)
+
+objectTemplate.registerResolver('fleet', (key) => {
+  return {
+    name: 'production',
+    region: 'eu-west-1'
+  }[key]
+})
+
+const template = {
+  hostname: '{{env:OBJECT_TEMPLATE_HOSTNAME}}',
+  url: 'https://{{name}}.{{fleet:region}}.local:{{number:env:OBJECT_TEMPLATE_PORT}}',
+  '{{fleet:name}}': '{{name}}'
+}
+
+const result = {
+  hostname: 'foo',
+  url: 'https://bar.eu-west-1.local:8080',
+  production: 'bar'
+}
+
+ava.test('.compile() should take the values of resolver interpolations from their resolvers', (test) => {
+  test.deepEqual(objectTemplate.compile(template, {
+    name: 'bar'
+  }), result)
+})
+
+ava.test('.compile() should read files with the file resolver', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    source: '{{ file:./test/resolvers.spec.js }}'
+  }, {}), {
+    source: fs.readFileSync('./test/resolvers.spec.js', 'utf8')
+  })
+})
+
+ava.test('.compile() should apply the defaults of missing resolver keys', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    certificate: '{{file:./foo.pem || "none"}}',
+    hostname: '{{env:OBJECT_TEMPLATE_FOO || hostname}}'
+  }, {
+    hostname: 'bar'
+  }), {
+    certificate: 'none',
+    hostname: 'bar'
+  })
+})
+
+ava.test('.compile() should throw a MissingVariableError for missing resolver keys', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      hostname: '{{env:OBJECT_TEMPLATE_FOO}}'
+    }, {})
+  }, objectTemplate.errors.MissingVariableError)
+
+  test.is(error.variable, 'OBJECT_TEMPLATE_FOO')
+})
+
+ava.test('.compile() should use the resolvers passed as options', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    url: '{{ vault:wifi/password }}',
+    fleet: '{{fleet:name}}',
+    name: '{{name}}'
+  }, {
+    name: 'bar'
+  }, {
+    resolvers: {
+      vault: (key) => {
+        return `<${key}>`
+      },
+      fleet: _.constant('staging'),
+      data: (key, data) => {
+        return data[key].toUpperCase()
+      }
+    }
+  }), {
+    url: '<wifi/password>',
+    fleet: 'staging',
+    name: 'BAR'
+  })
+})
+
+ava.test('.compile() should keep resolver interpolations of missing keys when partially evaluating', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    hostname: '{{env:OBJECT_TEMPLATE_FOO}}.{{name}}'
+  }, {
+    name: 'bar'
+  }, {
+    allowMissing: true
+  }), {
+    hostname: '{{env:OBJECT_TEMPLATE_FOO}}.bar'
+  })
+})
+
+ava.test('.compile() should take the explicit data resolver as a plain interpolation', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    name: '{{data:name}}'
+  }, {
+    name: 'bar'
+  }), {
+    name: 'bar'
+  })
+})
+
+ava.test('.decompile() should leave resolved values out of the data', (test) => {
+  test.deepEqual(objectTemplate.decompile(template, result), {
+    name: 'bar'
+  })
+})
+
+ava.test('.decompile() should report resolved values separately if requested', (test) => {
+  test.deepEqual(objectTemplate.decompile(template, result, {
+    resolved: true
+  }), {
+    data: {
+      name: 'bar'
+    },
+    resolved: {
+      env: {
+        OBJECT_TEMPLATE_HOSTNAME: 'foo',
+        OBJECT_TEMPLATE_PORT: 8080
+      },
+      fleet: {
+        region: 'eu-west-1',
+        name: 'production'
+      }
+    }
+  })
+})
+
+ava.test('.decompile() should not split resolver keys with dots', (test) => {
+  test.deepEqual(objectTemplate.decompile({
+    certificate: '{{file:./certs/ca.pem}}'
+  }, {
+    certificate: 'foo'
+  }, {
+    resolved: true
+  }).resolved, {
+    file: {
+      './certs/ca.pem': 'foo'
+    }
+  })
+})
+
+ava.test('.decompile() should throw if a resolver key has different values', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      foo: '{{env:HOSTNAME}}',
+      bar: '{{env:HOSTNAME}}'
+    }, {
+      foo: 'foo',
+      bar: 'bar'
+    })
+  }, objectTemplate.errors.ConflictError)
+
+  test.deepEqual(error.paths, [ [ 'foo' ], [ 'bar' ] ])
+})
+
+ava.test('.matches() should compare resolver interpolations with the resolved values', (test) => {
+  test.true(objectTemplate.matches({
+    hostname: '{{env:OBJECT_TEMPLATE_FOO}}'
+  }, {
+    hostname: 'bar'
+  }))
+})
+
+ava.test('.explain() should not report resolver interpolations as mismatches', (test) => {
+  test.deepEqual(objectTemplate.explain(template, result), [])
+})
+
+ava.test('.variables() should report the resolver of resolver variables', (test) => {
+  test.deepEqual(objectTemplate.variables({
+    hostname: '{{env:HOSTNAME}}',
+    name: '{{HOSTNAME}}',
+    port: '{{number:env:PORT || 80}}'
+  }), [
+    {
+      property: 'HOSTNAME',
+      resolver: 'env',
+      paths: [ [ 'hostname' ] ],
+      conditional: false
+    },
+    {
+      property: 'HOSTNAME',
+      paths: [ [ 'name' ] ],
+      conditional: false
+    },
+    {
+      property: 'PORT',
+      resolver: 'env',
+      type: 'number',
+      default: 80,
+      paths: [ [ 'port' ] ],
+      conditional: false
+    }
+  ])
+})
+
+ava.test('.variables() should not scope resolver variables of include sections', (test) => {
+  objectTemplate.registerTemplate('resolvers-hostname', {
+    hostname: '{{env:HOSTNAME}}'
+  })
+
+  test.deepEqual(objectTemplate.variables({
+    device: {
+      $include: 'resolvers-hostname',
+      $with: 'device'
+    }
+  })[0].property, 'HOSTNAME')
+})
+
+ava.test('.toSchema() should leave resolver variables out', (test) => {
+  test.deepEqual(objectTemplate.toSchema({
+    hostname: '{{env:HOSTNAME}}'
+  }).properties, {})
+})
+
+ava.test('.lint() should report unknown prefixes', (test) => {
+  test.deepEqual(objectTemplate.lint({
+    hostname: '{{foo:HOSTNAME}}'
+  }).map((error) => {
+    return error.message
+  }), [ 'Unknown type or resolver foo (at hostname, character 0)' ])
+})
+
+ava.test('.lint() should not take inherited object properties as resolvers', (test) => {
+  test.deepEqual(objectTemplate.lint({
+    hostname: '{{constructor:HOSTNAME}}',
+    domain: '{{hasOwnProperty:DOMAIN}}'
+  }, {
+    resolvers: {}
+  }).map((error) => {
+    return error.message
+  }), [
+    'Unknown type or resolver constructor (at hostname, character 0)',
+    'Unknown type or resolver hasOwnProperty (at domain, character 0)'
+  ])
+})
+
+ava.test('.registerResolver() should not accept type names', (test) => {
+  test.throws(() => {
+    objectTemplate.registerResolver('number', (key) => {
+      return key
+    })
+  }, 'The number resolver clashes with the number type')
+})
+
+ava.test('.registerResolver() should require a function', (test) => {
+  test.throws(() => {
+    objectTemplate.registerResolver('foo', 'bar')
+  }, 'The foo resolver must be a function')
+})
@@ -0,0 +1,145 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+ava.test('.toSchema() should describe a template without variables', (test) => {
+  test.deepEqual(objectTemplate.toSchema({
+    foo: 'bar'
+  }), {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'object',
+    properties: {}
+  })
+})
+
+ava.test('.toSchema() should describe nested properties, types and defaults', (test) => {
+  test.deepEqual(objectTemplate.toSchema({
+    greeting: 'Hello, {{person.name}}!',
+    age: '{{number:person.age || 18}}',
+    settings: '{{object:settings}}',
+    id: '{{string:id}}'
+  }), {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'object',
+    properties: {
+      person: {
+        type: 'object',
+        properties: {
+          name: {},
+          age: {
+            type: 'number',
+            default: 18
+          }
+        },
+        required: [ 'name' ]
+      },
+      settings: {
+        type: 'object'
+      },
+      id: {
+        type: 'string'
+      }
+    },
+    required: [ 'person', 'settings', 'id' ]
+  })
+})
+
+ava.test('.toSchema() should not require objects whose properties have defaults', (test) => {
+  test.deepEqual(objectTemplate.toSchema({
+    host: '{{network.host || "localhost"}}',
+    port: '{{number:network.port || 80}}'
+  }), {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'object',
+    properties: {
+      network: {
+        type: 'object',
+        properties: {
+          host: {
+            default: 'localhost'
+          },
+          port: {
+            type: 'number',
+            default: 80
+          }
+        }
+      }
+    }
+  })
+})
+
+ava.test('.toSchema() should not require conditional variables', (test) => {
+  test.deepEqual(objectTemplate.toSchema({
+    proxy: {
+      $if: 'proxyEnabled',
+      $then: '{{proxyHost}}'
+    }
+  }), {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'object',
+    properties: {
+      proxyEnabled: {},
+      proxyHost: {}
+    }
+  })
+})
+
+ava.test('.toSchema() should describe iteration sections as arrays', (test) => {
+  test.deepEqual(objectTemplate.toSchema({
+    networks: {
+      $each: 'interfaces',
+      $as: 'interface',
+      $item: {
+        name: '{{interface.name}}',
+        mtu: '{{number:interface.mtu || 1500}}'
+      }
+    },
+    hosts: {
+      $each: 'servers',
+      $item: '{{string:item}}'
+    }
+  }), {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'object',
+    properties: {
+      interfaces: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: {},
+            mtu: {
+              type: 'number',
+              default: 1500
+            }
+          },
+          required: [ 'name' ]
+        }
+      },
+      servers: {
+        type: 'array',
+        items: {
+          type: 'string'
+        }
+      }
+    },
+    required: [ 'interfaces', 'servers' ]
+  })
+})
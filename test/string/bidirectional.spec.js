@@ -311,6 +311,32 @@ _.each([
       foo: 'bar'
     },
     usesDefault: true
+  },
+
+  // -------------------------------------------------------------------
+  // Whitespace and special characters
+  // -------------------------------------------------------------------
+
+  {
+    template: 'Hello, {{ name }}!',
+    data: {
+      name: 'John Doe'
+    },
+    result: 'Hello, John Doe!'
+  },
+  {
+    template: '{{ number:age }}',
+    data: {
+      age: 21
+    },
+    result: 21
+  },
+  {
+    template: 'https://{{host}}/?q=(1+1)*2',
+    data: {
+      host: 'example.com'
+    },
+    result: 'https://example.com/?q=(1+1)*2'
   }
 
 ], (testCase) => {
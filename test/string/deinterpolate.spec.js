@@ -124,3 +124,18 @@ ava.test('.deinterpolate() should accept a single object type in a larger string
     }
   })
 })
+
+ava.test('.deinterpolate() should accept closing delimiters that end in a bracket', (test) => {
+  test.deepEqual(string.deinterpolate('Foo [person] and [ friend ]', 'Foo John and Jane', {
+    delimiters: [ '\\[', '\\]' ]
+  }), {
+    person: 'John',
+    friend: 'Jane'
+  })
+})
+
+ava.test('.deinterpolate() should not match values with extra leading text', (test) => {
+  test.throws(() => {
+    string.deinterpolate('Hello, {{name}}', 'Oh, Hello, John')
+  }, 'No match for \'name\'')
+})
@@ -202,3 +202,11 @@ ava.test('.interpolate() should not complain about missing variables in a phrase
     allowMissing: true
   }), 'Foo {{missing}}')
 })
+
+ava.test('.interpolate() should substitute the available variables with allowMissing', (test) => {
+  test.deepEqual(string.interpolate('{{greeting}}, {{ name }}! {{number:age || 18}}', {
+    greeting: 'Hello'
+  }, {
+    allowMissing: true
+  }), 'Hello, {{ name }}! {{number:age || 18}}')
+})
@@ -0,0 +1,50 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const string = require('../../lib/string')
+
+ava.test('.hasInterpolations() should return false for a literal string', (test) => {
+  test.false(string.hasInterpolations('Hello world'))
+})
+
+ava.test('.hasInterpolations() should return true for a templated string', (test) => {
+  test.true(string.hasInterpolations('Hello {{name}}'))
+})
+
+ava.test('.hasInterpolations() should accept custom delimiters', (test) => {
+  test.true(string.hasInterpolations('Hello [name]', {
+    delimiters: [ '\\[', '\\]' ]
+  }))
+})
+
+ava.test('.matches() should return true for a bounded interpolation', (test) => {
+  test.true(string.matches('{{name}}', 'John Doe'))
+})
+
+ava.test('.matches() should return true if the literal portions match', (test) => {
+  test.true(string.matches('device-{{uuid}}', 'device-abc123'))
+})
+
+ava.test('.matches() should return false if the literal portions do not match', (test) => {
+  test.false(string.matches('device-{{uuid}}', 'service-abc123'))
+})
+
+ava.test('.matches() should return false if the string has extra text', (test) => {
+  test.false(string.matches('device-{{uuid}}', 'my-device-abc123'))
+})
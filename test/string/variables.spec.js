@@ -0,0 +1,58 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const string = require('../../lib/string')
+
+ava.test('.variables() should return an empty array for a literal string', (test) => {
+  test.deepEqual(string.variables('Hello world'), [])
+})
+
+ava.test('.variables() should return every variable in order of appearance', (test) => {
+  test.deepEqual(string.variables('{{greeting}}, {{person.name}}!'), [
+    {
+      property: 'greeting'
+    },
+    {
+      property: 'person.name'
+    }
+  ])
+})
+
+ava.test('.variables() should include types and parsed default values', (test) => {
+  test.deepEqual(string.variables('{{number:age || 18}} {{object:person || { "name": "Jane" }}}'), [
+    {
+      property: 'age',
+      type: 'number',
+      default: 18
+    },
+    {
+      property: 'person',
+      type: 'object',
+      default: {
+        name: 'Jane'
+      }
+    }
+  ])
+})
+
+ava.test('.variables() should throw if a default value is not valid JSON', (test) => {
+  test.throws(() => {
+    string.variables('{{name || \'Jane\'}}')
+  }, 'Invalid default value for name: \'Jane\' (at character 0)')
+})
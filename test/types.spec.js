@@ -0,0 +1,188 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const _ = require('lodash')
+const objectTemplate = require('..')
+
+objectTemplate.registerType('hex', {
+  format: (value) => {
+    if (!Number.isInteger(value)) {
+      throw new Error(`Not an integer: ${value}`)
+    }
+
+    return value.toString(16)
+  },
+  parse: (value) => {
+    return parseInt(value, 16)
+  },
+  pattern: /[0-9a-f]+/,
+  schema: {
+    type: 'integer'
+  }
+})
+
+const testBidirectionalCompilation = (title, template, data, result) => {
+  ava.test(`.compile() should compile ${title}`, (test) => {
+    test.deepEqual(objectTemplate.compile(template, data), result)
+  })
+
+  ava.test(`.decompile() should decompile ${title}`, (test) => {
+    test.deepEqual(objectTemplate.decompile(template, result), data)
+  })
+}
+
+testBidirectionalCompilation('an independent boolean', {
+  enabled: '{{boolean:enabled}}'
+}, {
+  enabled: false
+}, {
+  enabled: false
+})
+
+testBidirectionalCompilation('a dependent boolean', {
+  flag: '--enabled={{boolean:enabled}}'
+}, {
+  enabled: true
+}, {
+  flag: '--enabled=true'
+})
+
+testBidirectionalCompilation('a dependent integer', {
+  address: 'localhost:{{integer:port}}'
+}, {
+  port: 8080
+}, {
+  address: 'localhost:8080'
+})
+
+testBidirectionalCompilation('adjacent values with patterns', {
+  value: '{{integer:count}}{{unit}}'
+}, {
+  count: 512,
+  unit: 'MB'
+}, {
+  value: '512MB'
+})
+
+testBidirectionalCompilation('a custom type', {
+  color: '#{{hex:color}}'
+}, {
+  color: 16711935
+}, {
+  color: '#ff00ff'
+})
+
+ava.test('.compile() should cast a boolean string', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    enabled: '{{boolean:enabled}}'
+  }, {
+    enabled: 'true'
+  }), {
+    enabled: true
+  })
+})
+
+ava.test('.compile() should throw a TypeCastError if a value is not a boolean', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      enabled: '{{boolean:enabled}}'
+    }, {
+      enabled: 'yes'
+    })
+  }, objectTemplate.errors.TypeCastError)
+
+  test.is(error.type, 'boolean')
+  test.is(error.value, 'yes')
+})
+
+ava.test('.decompile() should throw a TypeCastError if a value is not an integer', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.decompile({
+      count: '{{integer:count}}'
+    }, {
+      count: '21.5'
+    })
+  }, objectTemplate.errors.TypeCastError)
+
+  test.is(error.type, 'integer')
+})
+
+ava.test('.compile() should throw a TypeCastError if a custom type throws', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      color: '#{{hex:color}}'
+    }, {
+      color: 'red'
+    })
+  }, objectTemplate.errors.TypeCastError)
+
+  test.is(error.type, 'hex')
+  test.deepEqual(error.path, [ 'color' ])
+})
+
+ava.test('.decompile() should not match values that do not match the type pattern', (test) => {
+  test.throws(() => {
+    objectTemplate.decompile({
+      address: 'localhost:{{integer:port}}'
+    }, {
+      address: 'localhost:http'
+    })
+  }, objectTemplate.errors.NoMatchError)
+})
+
+ava.test('.toSchema() should use the schema of the types', (test) => {
+  test.deepEqual(objectTemplate.toSchema({
+    enabled: '{{boolean:enabled}}',
+    color: '{{hex:color}}'
+  }).properties, {
+    enabled: {
+      type: 'boolean'
+    },
+    color: {
+      type: 'integer'
+    }
+  })
+})
+
+ava.test('.registerType() should throw if the name is invalid', (test) => {
+  test.throws(() => {
+    objectTemplate.registerType('foo-bar', {
+      format: _.identity,
+      parse: _.identity
+    })
+  }, 'Invalid type name: foo-bar')
+})
+
+ava.test('.registerType() should throw if a function is missing', (test) => {
+  test.throws(() => {
+    objectTemplate.registerType('foo', {
+      format: _.identity
+    })
+  }, 'The foo type must define format and parse functions')
+})
+
+ava.test('.parse() should not take inherited object properties as types', (test) => {
+  test.throws(() => {
+    objectTemplate.parse('{{constructor:foo}}')
+  }, 'Unknown type or resolver constructor (at character 0)')
+
+  test.throws(() => {
+    objectTemplate.parse('{{toString:foo}}')
+  }, 'Unknown type or resolver toString (at character 0)')
+})
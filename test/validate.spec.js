@@ -0,0 +1,121 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+ava.test('.validate() should return an empty array if there are no errors', (test) => {
+  test.deepEqual(objectTemplate.validate({
+    greeting: 'Hello, {{name}}!'
+  }, {
+    name: 'John Doe'
+  }), [])
+})
+
+ava.test('.validate() should report every missing variable', (test) => {
+  const errors = objectTemplate.validate({
+    greeting: 'Hello, {{firstName}} {{lastName}}!',
+    profile: {
+      age: '{{age}}',
+      job: '{{job}}'
+    },
+    tags: [ '{{tag}}' ]
+  }, {
+    job: 'Software Engineer'
+  })
+
+  test.deepEqual(errors.map((error) => {
+    return [ error.code, error.variable, error.path ]
+  }), [
+    [ 'EMISSINGVARIABLE', 'firstName', [ 'greeting' ] ],
+    [ 'EMISSINGVARIABLE', 'lastName', [ 'greeting' ] ],
+    [ 'EMISSINGVARIABLE', 'age', [ 'profile', 'age' ] ],
+    [ 'EMISSINGVARIABLE', 'tag', [ 'tags', 0 ] ]
+  ])
+})
+
+ava.test('.validate() should report type cast errors and invalid defaults', (test) => {
+  const errors = objectTemplate.validate({
+    age: '{{number:age}}',
+    name: '{{name || \'Jane\'}}',
+    '{{key}}': 'foo'
+  }, {
+    age: 'foo'
+  })
+
+  test.deepEqual(errors.map((error) => {
+    return [ error.code, error.variable, error.path ]
+  }), [
+    [ 'ETYPECAST', 'age', [ 'age' ] ],
+    [ 'EINVALIDDEFAULT', 'name', [ 'name' ] ],
+    [ 'EMISSINGVARIABLE', 'key', [ '{{key}}' ] ]
+  ])
+})
+
+ava.test('.validate() should report errors in iteration sections', (test) => {
+  const errors = objectTemplate.validate({
+    hosts: {
+      $each: 'servers',
+      $item: '{{item}}'
+    },
+    ports: {
+      $each: 'ports',
+      $item: '{{item}}'
+    }
+  }, {
+    servers: 'foo'
+  })
+
+  test.deepEqual(errors.map((error) => {
+    return [ error.code, error.variable, error.path ]
+  }), [
+    [ 'EINVALIDITERATION', 'servers', [ 'hosts' ] ],
+    [ 'EMISSINGVARIABLE', 'ports', [ 'ports' ] ]
+  ])
+})
+
+ava.test('.compile() should throw a single ValidationError if collectErrors is set', (test) => {
+  const error = test.throws(() => {
+    objectTemplate.compile({
+      greeting: 'Hello, {{name}}!',
+      args: [ '--foo={{foo}}' ]
+    }, {}, {
+      collectErrors: true
+    })
+  }, objectTemplate.errors.ValidationError)
+
+  test.is(error.code, 'EVALIDATION')
+  test.is(error.errors.length, 2)
+  test.is(error.message, [
+    'Found 2 template error(s):',
+    '- greeting: Missing variable name',
+    '- args[0]: Missing variable foo'
+  ].join('\n'))
+})
+
+ava.test('.compile() should not throw if collectErrors is set and there are no errors', (test) => {
+  test.deepEqual(objectTemplate.compile({
+    greeting: 'Hello, {{name}}!'
+  }, {
+    name: 'John Doe'
+  }, {
+    collectErrors: true
+  }), {
+    greeting: 'Hello, John Doe!'
+  })
+})
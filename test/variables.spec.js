@@ -0,0 +1,173 @@
+/*
+ * Copyright 2016 Resin.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const ava = require('ava')
+const objectTemplate = require('..')
+
+ava.test('.variables() should return an empty array if there are no variables', (test) => {
+  test.deepEqual(objectTemplate.variables({
+    foo: 'bar',
+    baz: 1
+  }), [])
+})
+
+ava.test('.variables() should list variables with their types and defaults', (test) => {
+  test.deepEqual(objectTemplate.variables({
+    greeting: 'Hello, {{name}}!',
+    profile: {
+      age: '{{number:age || 18}}',
+      job: '{{string:person.job}}'
+    }
+  }), [
+    {
+      property: 'name',
+      paths: [ [ 'greeting' ] ],
+      conditional: false
+    },
+    {
+      property: 'age',
+      type: 'number',
+      default: 18,
+      paths: [ [ 'profile', 'age' ] ],
+      conditional: false
+    },
+    {
+      property: 'person.job',
+      type: 'string',
+      paths: [ [ 'profile', 'job' ] ],
+      conditional: false
+    }
+  ])
+})
+
+ava.test('.variables() should merge every appearance of a variable', (test) => {
+  test.deepEqual(objectTemplate.variables({
+    '{{name}}': {
+      greeting: 'Hello, {{name}}!'
+    },
+    names: [ 'foo', '{{name}}' ]
+  }), [
+    {
+      property: 'name',
+      paths: [ [ '{{name}}' ], [ '{{name}}', 'greeting' ], [ 'names', 1 ] ],
+      conditional: false
+    }
+  ])
+})
+
+ava.test('.variables() should honor custom delimiters', (test) => {
+  test.deepEqual(objectTemplate.variables({
+    greeting: 'Hello, <%name%> {{surname}}!'
+  }, {
+    delimiters: [ '<%', '%>' ]
+  }), [
+    {
+      property: 'name',
+      paths: [ [ 'greeting' ] ],
+      conditional: false
+    }
+  ])
+})
+
+ava.test('.variables() should mark variables inside conditional sections', (test) => {
+  test.deepEqual(objectTemplate.variables({
+    host: '{{host}}',
+    proxy: {
+      $if: 'proxyEnabled',
+      $then: {
+        host: '{{proxyHost}}',
+        via: '{{host}}'
+      }
+    }
+  }), [
+    {
+      property: 'host',
+      paths: [ [ 'host' ], [ 'proxy', '$then', 'via' ] ],
+      conditional: false
+    },
+    {
+      property: 'proxyEnabled',
+      paths: [ [ 'proxy' ] ],
+      conditional: true
+    },
+    {
+      property: 'proxyHost',
+      paths: [ [ 'proxy', '$then', 'host' ] ],
+      conditional: true
+    }
+  ])
+})
+
+ava.test('.variables() should describe iteration sections', (test) => {
+  test.deepEqual(objectTemplate.variables({
+    networks: {
+      $each: 'interfaces',
+      $as: 'interface',
+      $item: {
+        name: '{{interface.name}}',
+        mtu: '{{number:interface.mtu || 1500}}',
+        domain: '{{domain}}'
+      }
+    },
+    hosts: {
+      $each: 'servers',
+      $item: '{{item}}'
+    }
+  }), [
+    {
+      property: 'interfaces',
+      type: 'array',
+      paths: [ [ 'networks' ] ],
+      conditional: false,
+      alias: 'interface',
+      items: [
+        {
+          property: 'name',
+          paths: [ [ 'networks', '$item', 'name' ] ],
+          conditional: false
+        },
+        {
+          property: 'mtu',
+          type: 'number',
+          default: 1500,
+          paths: [ [ 'networks', '$item', 'mtu' ] ],
+          conditional: false
+        }
+      ]
+    },
+    {
+      property: 'domain',
+      paths: [ [ 'networks', '$item', 'domain' ] ],
+      conditional: false
+    },
+    {
+      property: 'servers',
+      type: 'array',
+      paths: [ [ 'hosts' ] ],
+      conditional: false,
+      alias: 'item',
+      items: [
+        {
+          property: '',
+          paths: [ [ 'hosts', '$item' ] ],
+          conditional: false
+        }
+      ]
+    }
+  ])
+})